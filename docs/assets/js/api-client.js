@@ -0,0 +1,172 @@
+/**
+ * Danish Parliament API Documentation - API Client Helpers
+ *
+ * Shared request helpers used by the interactive features:
+ * - Configurable API base URL (widgets can point at a local stand-in server)
+ * - Timed requests with timeouts
+ * - Health probes that measure real latency
+ */
+
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+/**
+ * Resolve the API base URL for a widget
+ *
+ * Order of precedence: the widget's `data-api-base` attribute, a page-wide
+ * `window.ODA_API_BASE_URL` override, then the public API.
+ */
+function getApiBaseUrl(element) {
+    const fromElement = element && element.dataset ? element.dataset.apiBase : '';
+    const baseUrl = fromElement || window.ODA_API_BASE_URL || API_BASE_URL;
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Fetch with a timeout, aborting the request when it expires
+ */
+async function fetchWithTimeout(url, options = {}, timeout = DEFAULT_REQUEST_TIMEOUT) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    // Let callers cancel as well as the timer
+    if (options.signal) {
+        if (options.signal.aborted) controller.abort();
+        else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Send a timed request and report what happened
+ *
+ * Resolves (never rejects) with:
+ *   ok         - the endpoint answered without an HTTP error
+ *   latency    - measured round trip in ms
+ *   httpStatus - HTTP status, or null when unknown (timeout, opaque response)
+ *   opaque     - only a no-cors request got through, so the status is unreadable
+ *   timedOut   - the request was aborted by the timeout
+ *   message    - short human-readable summary
+ */
+async function probeEndpoint(url, options = {}) {
+    const timeout = options.timeout || DEFAULT_REQUEST_TIMEOUT;
+    const result = { url, ok: false, latency: 0, httpStatus: null, opaque: false, timedOut: false, message: '' };
+
+    let startTime = performance.now();
+    try {
+        const response = await fetchWithTimeout(url, {
+            method: 'GET',
+            headers: { Accept: 'application/json' },
+            cache: 'no-store'
+        }, timeout);
+
+        result.latency = Math.round(performance.now() - startTime);
+        result.httpStatus = response.status;
+        result.ok = response.ok;
+        result.message = response.ok ? `${result.latency}ms` : `HTTP ${response.status}`;
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            result.latency = timeout;
+            result.timedOut = true;
+            result.message = `Timed out after ${timeout / 1000}s`;
+            return result;
+        }
+    }
+
+    // A CORS or network failure looks the same from here; an opaque
+    // no-cors request tells them apart and still gives us a latency
+    startTime = performance.now();
+    try {
+        const response = await fetchWithTimeout(url, {
+            method: 'GET',
+            mode: 'no-cors',
+            cache: 'no-store'
+        }, timeout);
+
+        result.latency = Math.round(performance.now() - startTime);
+        result.opaque = response.type === 'opaque';
+        result.ok = result.opaque || response.ok;
+        result.httpStatus = result.opaque ? null : response.status;
+        result.message = result.ok ? `${result.latency}ms (opaque)` : `HTTP ${response.status}`;
+    } catch (error) {
+        result.latency = Math.round(performance.now() - startTime);
+        if (error.name === 'AbortError') {
+            result.latency = timeout;
+            result.timedOut = true;
+            result.message = `Timed out after ${timeout / 1000}s`;
+        } else {
+            result.message = 'Unreachable';
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Fetch an OData JSON payload, rejecting on timeouts and HTTP errors
+ */
+async function fetchOdaJson(url, options = {}) {
+    const response = await fetchWithTimeout(url, {
+        headers: { Accept: 'application/json' },
+        signal: options.signal
+    }, options.timeout);
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Run a query URL and collect everything the results panel shows
+ *
+ * Resolves with { ok, httpStatus, statusText, latency, size, contentType,
+ * data, text, networkError }. `data` is the parsed JSON (null for XML or
+ * unparseable bodies). `networkError` is set when the request couldn't be
+ * made at all (offline, DNS, CORS), as opposed to an HTTP error response.
+ */
+async function runOdaQuery(url, options = {}) {
+    const result = {
+        url, ok: false, httpStatus: null, statusText: '', latency: 0, size: 0,
+        contentType: '', data: null, text: '', networkError: null
+    };
+
+    const startTime = performance.now();
+    let response;
+    try {
+        response = await fetchWithTimeout(url, {
+            headers: { Accept: 'application/json, application/xml;q=0.9' },
+            signal: options.signal
+        }, options.timeout || DEFAULT_REQUEST_TIMEOUT * 3);
+        result.text = await response.text();
+    } catch (error) {
+        result.latency = Math.round(performance.now() - startTime);
+        result.networkError = error;
+        return result;
+    }
+
+    result.latency = Math.round(performance.now() - startTime);
+    result.ok = response.ok;
+    result.httpStatus = response.status;
+    result.statusText = response.statusText;
+    result.contentType = response.headers.get('Content-Type') || '';
+    result.size = new TextEncoder().encode(result.text).length;
+
+    if (result.contentType.includes('json') || /^\s*[{[]/.test(result.text)) {
+        try {
+            result.data = JSON.parse(result.text);
+        } catch (error) {
+            // Leave data null and show the raw text
+        }
+    }
+
+    return result;
+}
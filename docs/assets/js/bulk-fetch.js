@@ -0,0 +1,244 @@
+/**
+ * Danish Parliament API Documentation - Fetch All Pages
+ *
+ * Retrieves a complete result set by walking $skip in pages of 100 (the
+ * API silently caps $top at 100):
+ * - The total comes from $inlinecount=allpages on the first page
+ * - Pages are fetched a few at a time, in order, with progress reporting
+ * - A run can be cancelled and resumed; pages already fetched are kept
+ * - Results download as a JSON array or NDJSON (one record per line)
+ */
+
+const BULK_FETCH_PAGE_SIZE = 100;
+const BULK_FETCH_CONCURRENCY = 3;
+const BULK_FETCH_TIMEOUT = 30000;
+const BULK_FETCH_WARN_RECORDS = 10000; // ask before pulling more than this
+
+/**
+ * Build the URL for one page of a query
+ *
+ * Drops any $top, $skip, $inlinecount and $format from the query and
+ * orders by id, after any $orderby columns given, so pages don't overlap.
+ */
+function buildPageUrl(url, skip, options = {}) {
+    const [base, query = ''] = url.split('?');
+    const params = query.split('&').filter(param => {
+        if (!param) return false;
+        const name = decodeURIComponent(param.split('=')[0]);
+        return !['$top', '$skip', '$inlinecount', '$format'].includes(name);
+    });
+
+    const orderIndex = params.findIndex(param => decodeURIComponent(param.split('=')[0]) === '$orderby');
+    const columns = parseOrderBy(getUrlParameter(url, '$orderby'));
+    if (!columns.length) {
+        if (orderIndex !== -1) params.splice(orderIndex, 1);
+        params.push('%24orderby=id');
+    } else if (!columns.some(column => column.field === 'id')) {
+        // Ties in the given order have no fixed order, so id breaks them
+        params[orderIndex] += '%2Cid';
+    }
+
+    params.push(`%24top=${options.pageSize || BULK_FETCH_PAGE_SIZE}`);
+    if (skip) params.push(`%24skip=${skip}`);
+    if (options.inlinecount) params.push('%24inlinecount=allpages');
+
+    return `${base}?${params.join('&')}`;
+}
+
+/**
+ * Create a runner that fetches every page of a query
+ *
+ * Options: pageSize, concurrency, timeout, and onProgress(state), called
+ * after every page. Returns { count, start, cancel, getRows, getState }:
+ * - count() resolves with the total number of records
+ * - start() fetches the pages still missing and resolves with the final
+ *   state; calling it again after a cancel or error resumes the run
+ */
+function createBulkFetch(url, options = {}) {
+    const pageSize = options.pageSize || BULK_FETCH_PAGE_SIZE;
+    const concurrency = options.concurrency || BULK_FETCH_CONCURRENCY;
+    const timeout = options.timeout || BULK_FETCH_TIMEOUT;
+    const onProgress = options.onProgress || (() => {});
+
+    const pages = []; // rows per page index, so output keeps the API's order
+    let total = null;
+    let status = 'idle'; // idle | running | cancelled | error | done
+    let error = null;
+    let controller = null;
+
+    function getState() {
+        const pageCount = total === null ? null : Math.ceil(total / pageSize);
+        const fetchedPages = pages.filter(Boolean).length;
+        const fetchedRows = pages.reduce((sum, page) => sum + (page ? page.length : 0), 0);
+        return { status, total, pageCount, fetchedPages, fetchedRows, error };
+    }
+
+    async function fetchPage(index, signal, inlinecount) {
+        const data = await fetchOdaJson(buildPageUrl(url, index * pageSize, { pageSize, inlinecount }), { signal, timeout });
+        pages[index] = Array.isArray(data.value) ? data.value : [];
+        return data;
+    }
+
+    async function count() {
+        if (total !== null) return total;
+
+        const data = await fetchPage(0, undefined, true);
+        total = parseInt(data['odata.count'], 10);
+        if (isNaN(total)) {
+            throw new Error('The API did not return a total count for this query');
+        }
+        return total;
+    }
+
+    async function start() {
+        if (status === 'running') return getState();
+
+        controller = new AbortController();
+        const signal = controller.signal;
+        status = 'running';
+        error = null;
+        onProgress(getState());
+
+        try {
+            await count();
+            const pageCount = Math.ceil(total / pageSize);
+            const queue = [];
+            for (let i = 0; i < pageCount; i++) {
+                if (!pages[i]) queue.push(i);
+            }
+
+            const worker = async () => {
+                while (queue.length && !signal.aborted) {
+                    await fetchPage(queue.shift(), signal);
+                    onProgress(getState());
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+            status = signal.aborted ? 'cancelled' : 'done';
+        } catch (err) {
+            if (signal.aborted) {
+                status = 'cancelled';
+            } else {
+                // Stop the other workers; resuming retries the missing pages
+                controller.abort();
+                status = 'error';
+                error = err;
+            }
+        }
+
+        onProgress(getState());
+        return getState();
+    }
+
+    function cancel() {
+        if (controller) controller.abort();
+    }
+
+    function getRows() {
+        return pages.reduce((rows, page) => (page ? rows.concat(page) : rows), []);
+    }
+
+    return { count, start, cancel, getRows, getState };
+}
+
+/**
+ * Serialize fetched rows as a JSON array or NDJSON
+ */
+function serializeRows(rows, format) {
+    if (format === 'ndjson') {
+        return rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+    }
+    return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Show the fetch-all panel for a query inside a container
+ *
+ * Counts the records first and asks for confirmation, with a warning for
+ * very large sets. Options: filename - base name for downloads.
+ * Returns the runner so callers can cancel it.
+ */
+function showBulkFetchPanel(container, url, options = {}) {
+    const filename = options.filename || 'oda-results';
+    const runner = createBulkFetch(url, { onProgress: render });
+
+    container.innerHTML = `
+        <p class="bulk-fetch-status">Counting records...</p>
+        <progress class="bulk-fetch-progress" max="1" value="0" style="display: none;"></progress>
+        <div class="bulk-fetch-actions"></div>
+    `;
+
+    const statusEl = container.querySelector('.bulk-fetch-status');
+    const progressEl = container.querySelector('.bulk-fetch-progress');
+    const actionsEl = container.querySelector('.bulk-fetch-actions');
+
+    runner.count().then(total => {
+        const requests = Math.ceil(total / BULK_FETCH_PAGE_SIZE);
+        const large = total > BULK_FETCH_WARN_RECORDS;
+
+        statusEl.className = `bulk-fetch-status${large ? ' bulk-fetch-warning' : ''}`;
+        statusEl.textContent = large
+            ? `⚠️ This query matches ${total.toLocaleString()} records, which takes ${requests.toLocaleString()} requests and may exhaust your browser's memory. Narrow it with a $filter if you can.`
+            : `This query matches ${total.toLocaleString()} records (${requests.toLocaleString()} page${requests === 1 ? '' : 's'}).`;
+
+        setActions(total ? [{ label: large ? 'Fetch anyway' : '▶ Start', action: () => runner.start() }] : []);
+    }).catch(error => {
+        statusEl.className = 'bulk-fetch-status bulk-fetch-warning';
+        statusEl.textContent = `Could not count records: ${error.message}`;
+    });
+
+    function setActions(actions) {
+        actionsEl.innerHTML = actions.map((action, index) => `
+            <button type="button" data-action="${index}">${escapeHtml(action.label)}</button>
+        `).join('');
+        actionsEl.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', actions[btn.dataset.action].action);
+        });
+    }
+
+    function render(state) {
+        progressEl.style.display = 'block';
+        progressEl.max = state.total || 1;
+        progressEl.value = state.fetchedRows;
+
+        const progress = `${state.fetchedRows.toLocaleString()} of ${(state.total || 0).toLocaleString()} records (${state.fetchedPages}/${state.pageCount || 0} pages)`;
+        const downloads = [
+            { label: '⬇ JSON', action: () => download('json') },
+            { label: '⬇ NDJSON', action: () => download('ndjson') }
+        ];
+
+        statusEl.className = 'bulk-fetch-status';
+        switch (state.status) {
+            case 'running':
+                statusEl.textContent = `Fetching... ${progress}`;
+                setActions([{ label: '⏹ Cancel', action: () => runner.cancel() }]);
+                break;
+            case 'cancelled':
+                statusEl.textContent = `Cancelled at ${progress}`;
+                setActions([{ label: '▶ Resume', action: () => runner.start() }, ...downloads]);
+                break;
+            case 'error':
+                statusEl.className = 'bulk-fetch-status bulk-fetch-warning';
+                statusEl.textContent = `Stopped by an error (${state.error.message}) at ${progress}`;
+                setActions([{ label: '↻ Resume', action: () => runner.start() }, ...downloads]);
+                break;
+            case 'done':
+                statusEl.textContent = `Done: ${progress}`;
+                setActions(downloads);
+                break;
+        }
+    }
+
+    function download(format) {
+        const state = runner.getState();
+        const suffix = state.status === 'done' ? '' : '-partial';
+        downloadTextFile(
+            serializeRows(runner.getRows(), format),
+            `${filename}${suffix}.${format}`,
+            format === 'ndjson' ? 'application/x-ndjson' : 'application/json'
+        );
+    }
+
+    return runner;
+}
@@ -0,0 +1,207 @@
+/**
+ * Danish Parliament API Documentation - Code Lookups
+ *
+ * ODA stores classifications as numeric codes (Sag.statusid, Aktør.typeid)
+ * that point into small lookup entities (Sagsstatus, Aktørtype). This
+ * module works out which fields are codes, loads the lookup tables and
+ * caches them in localStorage, so filters and results can show
+ * `statusid 11 (Afsluttet)` instead of a bare number.
+ *
+ * A field is a code when it is named after a single-valued navigation
+ * property to a lookup entity: statusid -> Sagsstatus, rolleid ->
+ * SagAktørRolle.
+ */
+
+const CODE_LOOKUP_TTL = 24 * 60 * 60 * 1000; // 24 hours - the tables rarely change
+const CODE_LOOKUP_STORAGE_KEY = 'oda-docs-code-lookups';
+const CODE_LOOKUP_PAGE_SIZE = 100;
+const CODE_LOOKUP_MAX_PAGES = 10;
+
+// Entities that are lookup tables of codes
+const CODE_LOOKUP_SETS = [
+    'Afstemningstype', 'Aktørtype', 'AktørAktørRolle', 'Dokumentkategori', 'Dokumentstatus', 'Dokumenttype',
+    'DokumentAktørRolle', 'Emneordstype', 'Mødestatus', 'Mødetype', 'Periode', 'SagAktørRolle', 'SagDokumentRolle',
+    'Sagskategori', 'Sagsstatus', 'Sagstype', 'SagstrinAktørRolle', 'Sagstrinsstatus', 'Sagstrinstype', 'Stemmetype'
+];
+
+// Preferred label property of a lookup entity, first match wins
+const CODE_LOOKUP_LABEL_FIELDS = ['titel', 'status', 'type', 'kategori', 'rolle', 'navn'];
+
+// Tables loaded on this page, and requests in flight
+const loadedCodeLookups = new Map();
+const pendingCodeLookups = new Map();
+
+/**
+ * The property holding a lookup entity's name for a code
+ */
+function getCodeLookupLabelField(entitySet) {
+    const strings = (entitySet ? entitySet.properties : []).filter(property => property.type === 'String');
+    const preferred = CODE_LOOKUP_LABEL_FIELDS.find(name => strings.some(property => property.name === name));
+    return preferred || (strings[0] ? strings[0].name : null);
+}
+
+/**
+ * Map an entity's code fields to their lookup entities,
+ * e.g. { typeid: 'Sagstype', statusid: 'Sagsstatus', ... }
+ */
+function getCodeFields(entityName, entitySets) {
+    return getReferenceFields(entityName, entitySets, target => CODE_LOOKUP_SETS.includes(target));
+}
+
+/**
+ * Code fields of an entity and of its expansions, keyed by path
+ * (statusid, SagAktør/rolleid)
+ */
+function getCodePaths(entityName, expand, entitySets) {
+    const paths = { ...getCodeFields(entityName, entitySets) };
+    getExpandedTargets(expand, entityName, entitySets).forEach(target => {
+        Object.entries(getCodeFields(target.entity, entitySets)).forEach(([field, lookup]) => {
+            paths[`${target.path}/${field}`] = lookup;
+        });
+    });
+    return paths;
+}
+
+/**
+ * Read the persisted lookup cache
+ */
+function readCodeLookupCache() {
+    try {
+        return JSON.parse(localStorage.getItem(CODE_LOOKUP_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Persist the lookup cache (storage may be full or disabled)
+ */
+function writeCodeLookupCache(cache) {
+    try {
+        localStorage.setItem(CODE_LOOKUP_STORAGE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.warn('Could not cache code lookups:', error);
+    }
+}
+
+/**
+ * Get an already loaded lookup table, { code: name }, or null
+ */
+function getCachedCodeLookup(lookupName, baseUrl) {
+    const cacheKey = `${baseUrl}|${lookupName}`;
+    if (loadedCodeLookups.has(cacheKey)) return loadedCodeLookups.get(cacheKey);
+
+    const cached = readCodeLookupCache()[cacheKey];
+    if (!cached || Date.now() - cached.fetchedAt >= CODE_LOOKUP_TTL) return null;
+    loadedCodeLookups.set(cacheKey, cached.labels);
+    return cached.labels;
+}
+
+/**
+ * Load a lookup table, { code: name }
+ *
+ * Served from the cache when it is less than CODE_LOOKUP_TTL old.
+ * `entitySets` supplies the lookup entity's properties, to pick the
+ * name field.
+ */
+async function loadCodeLookup(lookupName, options = {}) {
+    const baseUrl = options.baseUrl || getApiBaseUrl();
+    const cacheKey = `${baseUrl}|${lookupName}`;
+
+    const cached = getCachedCodeLookup(lookupName, baseUrl);
+    if (cached) return cached;
+
+    if (pendingCodeLookups.has(cacheKey)) {
+        return pendingCodeLookups.get(cacheKey);
+    }
+
+    const request = (async () => {
+        const labelField = getCodeLookupLabelField((options.entitySets || {})[lookupName]) || 'id';
+        const labels = {};
+
+        for (let page = 0; page < CODE_LOOKUP_MAX_PAGES; page++) {
+            const url = `${baseUrl}/${encodeURIComponent(lookupName)}?%24select=id,${encodeURIComponent(labelField)}`
+                + `&%24orderby=id&%24top=${CODE_LOOKUP_PAGE_SIZE}&%24skip=${page * CODE_LOOKUP_PAGE_SIZE}`;
+            const data = await fetchOdaJson(url, { timeout: options.timeout });
+            const rows = Array.isArray(data.value) ? data.value : [];
+            rows.forEach(row => {
+                labels[row.id] = row[labelField] === null || row[labelField] === undefined ? String(row.id) : String(row[labelField]);
+            });
+            if (rows.length < CODE_LOOKUP_PAGE_SIZE) break;
+        }
+
+        // Re-read in case another tab cached other tables while we waited
+        const cache = readCodeLookupCache();
+        cache[cacheKey] = { labels, fetchedAt: Date.now() };
+        writeCodeLookupCache(cache);
+        loadedCodeLookups.set(cacheKey, labels);
+
+        return labels;
+    })();
+
+    pendingCodeLookups.set(cacheKey, request);
+    try {
+        return await request;
+    } finally {
+        pendingCodeLookups.delete(cacheKey);
+    }
+}
+
+/**
+ * A lookup table as options sorted by code: [{ value, label }]
+ */
+function getCodeLookupOptions(labels) {
+    return Object.entries(labels)
+        .map(([value, label]) => ({ value, label }))
+        .sort((a, b) => Number(a.value) - Number(b.value));
+}
+
+/**
+ * Load every lookup table an entity and its expansions use
+ *
+ * Resolves with a describe(path, value) function that returns the name
+ * for a code, or null. Tables that fail to load are skipped.
+ */
+async function loadCodeLabeller(entityName, expand, entitySets, baseUrl) {
+    const codePaths = getCodePaths(entityName, expand, entitySets);
+    const lookupNames = Array.from(new Set(Object.values(codePaths)));
+    await Promise.allSettled(lookupNames.map(name => loadCodeLookup(name, { baseUrl, entitySets })));
+
+    return (path, value) => {
+        const lookupName = codePaths[path];
+        if (!lookupName || value === null || value === undefined) return null;
+        const labels = getCachedCodeLookup(lookupName, baseUrl);
+        return labels && labels[value] !== undefined ? labels[value] : null;
+    };
+}
+
+/**
+ * Name the codes a filter compares against, from loaded tables only
+ *
+ * Returns [{ field, value, lookup, label }] for comparisons such as
+ * `statusid eq 11`. Filters that don't parse give [].
+ */
+function describeFilterCodes(filter, entityName, entitySets, baseUrl) {
+    const codeFields = getCodeFields(entityName, entitySets);
+    const codes = [];
+    let expression;
+    try {
+        expression = parseFilter(filter);
+    } catch (error) {
+        return codes;
+    }
+
+    walkFilter(expression, node => {
+        if (node.type !== 'binary' || !ODATA_COMPARISON_OPERATORS.includes(node.operator)) return;
+        const member = [node.left, node.right].find(side => side.type === 'member');
+        const literal = [node.left, node.right].find(side => side.type === 'literal');
+        if (!member || !literal || !codeFields[member.name]) return;
+
+        const labels = getCachedCodeLookup(codeFields[member.name], baseUrl);
+        if (labels && labels[literal.value] !== undefined) {
+            codes.push({ field: member.name, value: literal.value, lookup: codeFields[member.name], label: labels[literal.value] });
+        }
+    });
+
+    return codes;
+}
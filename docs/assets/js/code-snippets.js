@@ -0,0 +1,359 @@
+/**
+ * Danish Parliament API Documentation - Code Snippet Generator
+ *
+ * Turns a builder query into ready-to-run code for cURL, Python,
+ * JavaScript, TypeScript and R. Every snippet encodes `$` as %24 and
+ * Danish letters as UTF-8 percent escapes, which the API requires.
+ * Optionally the snippet pages through all results with $skip, and wraps
+ * requests in the error handling used in the code example pages.
+ */
+
+const CODE_SNIPPET_LANGUAGES = {
+    curl: 'cURL',
+    python: 'Python',
+    javascript: 'JavaScript',
+    typescript: 'TypeScript',
+    r: 'R'
+};
+
+const CODE_SNIPPET_PAGE_SIZE = 100; // the API caps $top at 100
+const CODE_LANGUAGE_STORAGE_KEY = 'oda-docs-code-language';
+
+/**
+ * The language last picked in a code panel (Python by default)
+ */
+function getPreferredCodeLanguage() {
+    try {
+        const stored = localStorage.getItem(CODE_LANGUAGE_STORAGE_KEY);
+        return CODE_SNIPPET_LANGUAGES[stored] ? stored : 'python';
+    } catch (error) {
+        return 'python';
+    }
+}
+
+/**
+ * Remember the picked language (storage may be full or disabled)
+ */
+function setPreferredCodeLanguage(language) {
+    try {
+        localStorage.setItem(CODE_LANGUAGE_STORAGE_KEY, language);
+    } catch (error) {
+        console.warn('Could not save code language:', error);
+    }
+}
+
+/**
+ * Percent-encode strictly, including ' ! ( ) *, so URLs are safe inside
+ * shell quotes
+ */
+function encodeUrlComponentStrict(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Prepare a query for code generation
+ *
+ * Paginated snippets page with their own $top/$skip, so those (and
+ * $inlinecount) are dropped; ordering by id, after any $orderby columns
+ * given, keeps pages from overlapping. $format is dropped because
+ * snippets parse JSON.
+ */
+function getSnippetParams(params, paginate) {
+    const result = {};
+    Object.entries(params).forEach(([key, value]) => {
+        if (key === '$format') return;
+        if (paginate && ['$top', '$skip', '$inlinecount'].includes(key)) return;
+        result[key] = value;
+    });
+    if (paginate) {
+        const columns = parseOrderBy(result.$orderby);
+        if (!columns.some(column => column.field === 'id')) {
+            result.$orderby = serializeOrderBy([...columns, { field: 'id', direction: 'asc' }]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Generate a snippet
+ *
+ * `query` is { baseUrl, entity, params } with decoded parameters;
+ * options are { paginate, errors }.
+ */
+function generateCodeSnippet(language, query, options = {}) {
+    const context = {
+        baseUrl: query.baseUrl,
+        entity: query.entity,
+        params: getSnippetParams(query.params, options.paginate),
+        paginate: Boolean(options.paginate),
+        errors: Boolean(options.errors)
+    };
+
+    switch (language) {
+        case 'curl': return generateCurlSnippet(context);
+        case 'python': return generatePythonSnippet(context);
+        case 'javascript': return generateJavaScriptSnippet(context, false);
+        case 'typescript': return generateJavaScriptSnippet(context, true);
+        case 'r': return generateRSnippet(context);
+        default: throw new Error(`Unknown language: ${language}`);
+    }
+}
+
+/**
+ * Render a parameter object as dictionary entries, one per line
+ */
+function formatSnippetEntries(params, indent, separator) {
+    return Object.entries(params)
+        .map(([key, value]) => `${indent}${JSON.stringify(key)}${separator}${JSON.stringify(String(value))}`)
+        .join(',\n');
+}
+
+/**
+ * cURL, with a bash loop (and jq) when paginating
+ */
+function generateCurlSnippet({ baseUrl, entity, params, paginate, errors }) {
+    const query = Object.entries(params)
+        .map(([key, value]) => `${encodeUrlComponentStrict(key)}=${encodeUrlComponentStrict(value)}`)
+        .join('&');
+    const url = `${baseUrl}/${encodeUrlComponentStrict(entity)}${query ? `?${query}` : ''}`;
+    const flags = errors ? '--fail --silent --show-error --max-time 30 ' : '--silent ';
+
+    if (!paginate) {
+        return [
+            ...(errors ? ['# --fail exits non-zero on HTTP errors (invalid fields often give an empty 400)'] : []),
+            `curl ${flags}'${url}'`
+        ].join('\n');
+    }
+
+    return [
+        '# Needs jq. Writes one record per line to results.ndjson',
+        `URL='${url}'`,
+        `PAGE_SIZE=${CODE_SNIPPET_PAGE_SIZE}`,
+        'skip=0',
+        ': > results.ndjson',
+        '',
+        'while :; do',
+        errors
+            ? `  page=$(curl ${flags}"$URL&%24top=$PAGE_SIZE&%24skip=$skip") || { echo "Request failed at skip=$skip" >&2; exit 1; }`
+            : `  page=$(curl ${flags}"$URL&%24top=$PAGE_SIZE&%24skip=$skip")`,
+        '  echo "$page" | jq -c \'.value[]\' >> results.ndjson',
+        '  count=$(echo "$page" | jq \'.value | length\')',
+        '  [ "$count" -lt "$PAGE_SIZE" ] && break',
+        '  skip=$((skip + PAGE_SIZE))',
+        '  sleep 0.1',
+        'done',
+        '',
+        'wc -l results.ndjson'
+    ].join('\n');
+}
+
+/**
+ * Python with requests, following the docs' Python client examples
+ */
+function generatePythonSnippet({ baseUrl, entity, params, paginate, errors }) {
+    const lines = [];
+    if (paginate) lines.push('import time', '');
+    lines.push(
+        'import requests',
+        'from urllib.parse import quote',
+        '',
+        `BASE_URL = ${JSON.stringify(baseUrl)}`,
+        `ENTITY = ${JSON.stringify(entity)}`,
+        'PARAMS = {',
+        formatSnippetEntries(params, '    ', ': '),
+        '}'
+    );
+    if (paginate) lines.push(`PAGE_SIZE = ${CODE_SNIPPET_PAGE_SIZE}  # the API caps $top at 100`);
+    lines.push(
+        '',
+        '',
+        'def build_url(params):',
+        '    # quote(..., safe="") encodes $ as %24 and Danish letters as UTF-8',
+        '    query = "&".join(f"{quote(key, safe=\'\')}={quote(str(value), safe=\'\')}" for key, value in params.items())',
+        '    return f"{BASE_URL}/{quote(ENTITY)}?{query}"',
+        '',
+        '',
+        'def fetch(params):'
+    );
+
+    if (errors) {
+        lines.push(
+            '    try:',
+            '        response = requests.get(build_url(params), timeout=30)',
+            '        response.raise_for_status()',
+            '        return response.json()',
+            '    except requests.HTTPError as error:',
+            '        # Invalid fields or expansions often come back as 400 with an empty body',
+            '        details = error.response.text or "no error details"',
+            '        raise RuntimeError(f"HTTP {error.response.status_code}: {details}") from error',
+            '    except requests.RequestException as error:',
+            '        raise RuntimeError(f"Request failed: {error}") from error'
+        );
+    } else {
+        lines.push('    return requests.get(build_url(params)).json()');
+    }
+
+    lines.push('', '');
+    if (paginate) {
+        lines.push(
+            'records = []',
+            'skip = 0',
+            'while True:',
+            '    page = fetch({**PARAMS, "$top": PAGE_SIZE, "$skip": skip})["value"]',
+            '    records.extend(page)',
+            '    if len(page) < PAGE_SIZE:',
+            '        break',
+            '    skip += PAGE_SIZE',
+            '    time.sleep(0.1)  # be gentle with the API'
+        );
+    } else {
+        lines.push('records = fetch(PARAMS)["value"]');
+    }
+    lines.push('', 'print(f"Fetched {len(records)} records")');
+
+    return lines.join('\n');
+}
+
+/**
+ * JavaScript with fetch (browser or Node 18+); `typed` adds TypeScript types
+ */
+function generateJavaScriptSnippet({ baseUrl, entity, params, paginate, errors }, typed) {
+    const paramsType = typed ? ': Record<string, string | number>' : '';
+    const lines = [];
+
+    if (typed) {
+        lines.push(
+            'interface ODataResponse<T> {',
+            '    value: T[];',
+            '    \'odata.count\'?: string;',
+            '}',
+            '',
+            'type Row = Record<string, unknown>;',
+            ''
+        );
+    }
+
+    lines.push(
+        `const BASE_URL = ${JSON.stringify(baseUrl)};`,
+        `const ENTITY = ${JSON.stringify(entity)};`,
+        `const PARAMS${paramsType} = {`,
+        formatSnippetEntries(params, '    ', ': '),
+        '};'
+    );
+    if (paginate) lines.push(`const PAGE_SIZE = ${CODE_SNIPPET_PAGE_SIZE}; // the API caps $top at 100`);
+    lines.push(
+        '',
+        '// encodeURIComponent encodes $ as %24 and Danish letters as UTF-8',
+        `function buildUrl(params${paramsType})${typed ? ': string' : ''} {`,
+        '    const query = Object.entries(params)',
+        '        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)',
+        '        .join(\'&\');',
+        '    return `${BASE_URL}/${encodeURIComponent(ENTITY)}?${query}`;',
+        '}',
+        '',
+        `async function fetchJson(params${paramsType})${typed ? ': Promise<ODataResponse<Row>>' : ''} {`
+    );
+
+    if (errors) {
+        lines.push(
+            '    const response = await fetch(buildUrl(params), { signal: AbortSignal.timeout(30000) });',
+            '    if (!response.ok) {',
+            '        // Invalid fields or expansions often come back as 400 with an empty body',
+            '        const details = await response.text();',
+            '        throw new Error(`HTTP ${response.status}: ${details || \'no error details\'}`);',
+            '    }',
+            '    return response.json();'
+        );
+    } else {
+        lines.push('    const response = await fetch(buildUrl(params));', '    return response.json();');
+    }
+
+    lines.push('}', '', `async function main()${typed ? ': Promise<void>' : ''} {`);
+    if (paginate) {
+        lines.push(
+            `    const records${typed ? ': Row[]' : ''} = [];`,
+            '    for (let skip = 0; ; skip += PAGE_SIZE) {',
+            '        const { value } = await fetchJson({ ...PARAMS, $top: PAGE_SIZE, $skip: skip });',
+            '        records.push(...value);',
+            '        if (value.length < PAGE_SIZE) break;',
+            '        await new Promise(resolve => setTimeout(resolve, 100)); // be gentle with the API',
+            '    }'
+        );
+    } else {
+        lines.push('    const { value: records } = await fetchJson(PARAMS);');
+    }
+    lines.push(
+        '    console.log(`Fetched ${records.length} records`);',
+        '}',
+        '',
+        errors ? 'main().catch(error => console.error(error.message));' : 'main();'
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * R with httr and jsonlite, as in the analysis guides
+ */
+function generateRSnippet({ baseUrl, entity, params, paginate, errors }) {
+    const lines = [
+        'library(httr)',
+        'library(jsonlite)',
+        '',
+        `base_url <- ${JSON.stringify(baseUrl)}`,
+        `entity <- ${JSON.stringify(entity)}`,
+        'params <- list(',
+        formatSnippetEntries(params, '  ', ' = '),
+        ')'
+    ];
+    if (paginate) lines.push(`page_size <- ${CODE_SNIPPET_PAGE_SIZE}  # the API caps $top at 100`);
+    lines.push(
+        '',
+        '# URLencode(reserved = TRUE) encodes $ as %24 and Danish letters as UTF-8',
+        'encode <- function(x) URLencode(enc2utf8(as.character(x)), reserved = TRUE)',
+        '',
+        'build_url <- function(params) {',
+        '  query <- paste0(vapply(names(params), encode, ""), "=", vapply(params, encode, ""), collapse = "&")',
+        '  paste0(base_url, "/", encode(entity), "?", query)',
+        '}',
+        '',
+        'fetch <- function(params) {'
+    );
+
+    if (errors) {
+        lines.push(
+            '  response <- tryCatch(',
+            '    GET(build_url(params), timeout(30)),',
+            '    error = function(e) stop("Request failed: ", conditionMessage(e))',
+            '  )',
+            '  if (http_error(response)) {',
+            '    # Invalid fields or expansions often come back as 400 with an empty body',
+            '    details <- content(response, as = "text", encoding = "UTF-8")',
+            '    stop("HTTP ", status_code(response), ": ", if (nzchar(details)) details else "no error details")',
+            '  }'
+        );
+    } else {
+        lines.push('  response <- GET(build_url(params))');
+    }
+    lines.push('  fromJSON(content(response, as = "text", encoding = "UTF-8"))', '}', '');
+
+    if (paginate) {
+        lines.push(
+            'pages <- list()',
+            'skip <- 0',
+            'repeat {',
+            '  page <- fetch(c(params, list("$top" = page_size, "$skip" = skip)))$value',
+            '  if (NROW(page) > 0) pages[[length(pages) + 1]] <- page',
+            '  if (NROW(page) < page_size) break',
+            '  skip <- skip + page_size',
+            '  Sys.sleep(0.1)  # be gentle with the API',
+            '}',
+            'records <- rbind_pages(pages)'
+        );
+    } else {
+        lines.push('records <- fetch(params)$value');
+    }
+    lines.push('', 'cat("Fetched", NROW(records), "records\\n")');
+
+    return lines.join('\n');
+}
@@ -0,0 +1,363 @@
+/**
+ * Danish Parliament API Documentation - Date Filters
+ *
+ * ODA stores dates as Danish local time without an offset and compares
+ * datetime'...' literals against them as written. "Today", and times
+ * picked in another time zone, must therefore be worked out in
+ * Europe/Copenhagen first: toISOString() gives the UTC date, which is
+ * still yesterday between midnight and 01:00/02:00 Danish time.
+ *
+ * A date filter is described as a spec and turned into composer nodes:
+ *
+ *   { mode: 'between', from: '2025-01-01', to: '2025-01-31' }
+ *     -> dato ge datetime'2025-01-01' and dato lt datetime'2025-02-01'
+ *   { mode: 'after', from: '2025-03-01T08:00', timeZone: 'UTC' }
+ *     -> dato ge datetime'2025-03-01T09:00'
+ *   { mode: 'month', month: '2025-03' }
+ *     -> year(dato) eq 2025 and month(dato) eq 3
+ */
+
+const ODA_TIME_ZONE = 'Europe/Copenhagen';
+const DATE_FILTER_TIME_ZONE_STORAGE_KEY = 'oda-docs-date-time-zone';
+
+const DATE_FILTER_MODES = {
+    on: 'on',
+    between: 'between',
+    after: 'on or after',
+    before: 'before',
+    year: 'in year',
+    month: 'in month'
+};
+
+/**
+ * Calendar and clock fields of an instant in a time zone
+ */
+function getZonedDateParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    });
+    return parts;
+}
+
+/**
+ * Format date parts as YYYY-MM-DD, or YYYY-MM-DDTHH:MM with the time
+ */
+function formatDateParts(parts, withTime) {
+    const pad = number => String(number).padStart(2, '0');
+    const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    return withTime ? `${date}T${pad(parts.hour)}:${pad(parts.minute)}` : date;
+}
+
+/**
+ * Today's date in a time zone (Copenhagen by default), as YYYY-MM-DD
+ */
+function getZonedToday(timeZone = ODA_TIME_ZONE, now = new Date()) {
+    return formatDateParts(getZonedDateParts(now, timeZone), false);
+}
+
+/**
+ * Move a YYYY-MM-DD date by whole days
+ */
+function addDaysToDate(dateText, days) {
+    const [year, month, day] = dateText.slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a YYYY-MM-DDTHH:MM wall-clock time between time zones
+ *
+ * Dates without a time are calendar days and are returned unchanged.
+ */
+function convertWallTime(text, fromZone, toZone = ODA_TIME_ZONE) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(text);
+    if (!match || fromZone === toZone) return text;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    // Find the instant that shows this time in fromZone; a second pass settles DST changes
+    let instant = wall;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedDateParts(new Date(instant), fromZone);
+        instant += wall - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    }
+    return formatDateParts(getZonedDateParts(new Date(instant), toZone), true);
+}
+
+/**
+ * First day of a parliamentary year: the first Tuesday of October
+ */
+function getParliamentaryYearStart(year) {
+    const weekday = new Date(Date.UTC(year, 9, 1)).getUTCDay();
+    return addDaysToDate(`${year}-10-01`, (2 - weekday + 7) % 7);
+}
+
+/**
+ * The parliamentary year (folketingsår) a date falls in:
+ * { from, to, label } with `to` the last day, e.g. label 2025-26
+ */
+function getParliamentaryYear(dateText) {
+    const year = Number(dateText.slice(0, 4));
+    const startYear = dateText.slice(0, 10) >= getParliamentaryYearStart(year) ? year : year - 1;
+    return {
+        from: getParliamentaryYearStart(startYear),
+        to: addDaysToDate(getParliamentaryYearStart(startYear + 1), -1),
+        label: `${startYear}-${String(startYear + 1).slice(2)}`
+    };
+}
+
+// Relative ranges; each turns today's date into a spec
+const DATE_FILTER_PRESETS = {
+    today: { label: 'Today', spec: today => ({ mode: 'on', from: today }) },
+    last7: { label: 'Last 7 days', spec: today => ({ mode: 'after', from: addDaysToDate(today, -7) }) },
+    last30: { label: 'Last 30 days', spec: today => ({ mode: 'after', from: addDaysToDate(today, -30) }) },
+    thisMonth: { label: 'This month', spec: today => ({ mode: 'month', month: today.slice(0, 7) }) },
+    thisYear: { label: 'This year', spec: today => ({ mode: 'year', year: today.slice(0, 4) }) },
+    lastYear: { label: 'Last year', spec: today => ({ mode: 'year', year: String(Number(today.slice(0, 4)) - 1) }) },
+    parliamentaryYear: {
+        label: 'This parliamentary year',
+        spec: today => {
+            const { from, to } = getParliamentaryYear(today);
+            return { mode: 'between', from, to };
+        }
+    },
+    previousParliamentaryYear: {
+        label: 'Previous parliamentary year',
+        spec: today => {
+            const { from, to } = getParliamentaryYear(addDaysToDate(getParliamentaryYear(today).from, -1));
+            return { mode: 'between', from, to };
+        }
+    }
+};
+
+/**
+ * Time zones offered for picked times: Copenhagen, UTC and the browser's own
+ */
+function getDateFilterTimeZones() {
+    const zones = [
+        { value: ODA_TIME_ZONE, label: 'Copenhagen (ODA time)' },
+        { value: 'UTC', label: 'UTC' }
+    ];
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (browserZone && !zones.some(zone => zone.value === browserZone)) {
+        zones.push({ value: browserZone, label: `${browserZone} (this browser)` });
+    }
+    return zones;
+}
+
+/**
+ * Get the remembered time zone for picked times
+ */
+function getPreferredDateTimeZone() {
+    try {
+        const zone = localStorage.getItem(DATE_FILTER_TIME_ZONE_STORAGE_KEY);
+        if (zone && getDateFilterTimeZones().some(item => item.value === zone)) return zone;
+    } catch (error) {
+        // Storage unavailable - fall back to Copenhagen
+    }
+    return ODA_TIME_ZONE;
+}
+
+/**
+ * Remember the time zone for picked times
+ */
+function setPreferredDateTimeZone(zone) {
+    try {
+        localStorage.setItem(DATE_FILTER_TIME_ZONE_STORAGE_KEY, zone);
+    } catch (error) {
+        // Storage unavailable - the choice lasts for this page only
+    }
+}
+
+/**
+ * Turn a date filter spec into filter composer nodes (throws when the
+ * spec is incomplete)
+ *
+ * Whole days are ranges up to the next midnight, since a date literal
+ * means 00:00 and `le` would miss the rest of the day.
+ */
+function buildDateFilterNodes(field, spec) {
+    const condition = (operator, value) => ({ type: 'condition', field, operator, value });
+    const raw = text => ({ type: 'raw', text });
+    const pick = (text, what) => {
+        if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(text || '')) {
+            throw new Error(`Pick ${what}`);
+        }
+        return convertWallTime(text, spec.timeZone || ODA_TIME_ZONE);
+    };
+
+    switch (spec.mode) {
+        case 'on': {
+            const day = pick(spec.from, 'a date').slice(0, 10);
+            return [condition('ge', day), condition('lt', addDaysToDate(day, 1))];
+        }
+        case 'between': {
+            const from = pick(spec.from, 'a start date');
+            const to = pick(spec.to, 'an end date');
+            if (to < from) throw new Error('The end date is before the start date');
+            return [condition('ge', from), to.includes('T') ? condition('le', to) : condition('lt', addDaysToDate(to, 1))];
+        }
+        case 'after':
+            return [condition('ge', pick(spec.from, 'a date'))];
+        case 'before':
+            return [condition('lt', pick(spec.from, 'a date'))];
+        case 'year':
+            if (!/^\d{4}$/.test(String(spec.year || '').trim())) throw new Error('Enter a year, e.g. 2025');
+            return [raw(`year(${field}) eq ${Number(spec.year)}`)];
+        case 'month': {
+            const match = /^(\d{4})-(\d{2})$/.exec(spec.month || '');
+            if (!match) throw new Error('Pick a month (YYYY-MM)');
+            return [raw(`year(${field}) eq ${Number(match[1])}`), raw(`month(${field}) eq ${Number(match[2])}`)];
+        }
+        default:
+            throw new Error(`Unknown date filter "${spec.mode}"`);
+    }
+}
+
+/**
+ * A date filter spec as $filter text
+ */
+function formatDateFilter(field, spec) {
+    const group = { type: 'group', operator: 'and', items: buildDateFilterNodes(field, spec) };
+    return serializeFilterTree(group, [{ name: field, type: 'DateTime' }]);
+}
+
+/**
+ * Wire a .filter-date element into date and range pickers
+ *
+ * Returns { setField, getSpec, getNodes }.
+ */
+function createDateFilterInput(container) {
+    container.innerHTML = `
+        <div class="date-filter-row">
+            <select class="date-filter-mode" aria-label="Date condition">
+                ${Object.entries(DATE_FILTER_MODES).map(([mode, label]) => `<option value="${mode}">${escapeHtml(label)}</option>`).join('')}
+            </select>
+            <input type="date" class="date-filter-from" aria-label="Date">
+            <span class="date-filter-and">and</span>
+            <input type="date" class="date-filter-to" aria-label="End date">
+            <input type="number" class="date-filter-year" min="1900" max="2100" placeholder="Year" aria-label="Year">
+            <input type="month" class="date-filter-month" placeholder="YYYY-MM" aria-label="Month">
+            <label class="date-filter-time-toggle"><input type="checkbox" class="date-filter-time"> time of day</label>
+            <select class="date-filter-zone" title="Time zone of picked times and of today's date">
+                ${getDateFilterTimeZones().map(zone => `<option value="${escapeHtml(zone.value)}">${escapeHtml(zone.label)}</option>`).join('')}
+            </select>
+        </div>
+        <div class="date-filter-presets">
+            ${Object.entries(DATE_FILTER_PRESETS).map(([key, preset]) => `
+                <button type="button" class="date-filter-preset" data-preset="${key}">${escapeHtml(preset.label)}</button>
+            `).join('')}
+        </div>
+        <small class="date-filter-preview"></small>
+    `;
+
+    const modeSelect = container.querySelector('.date-filter-mode');
+    const fromInput = container.querySelector('.date-filter-from');
+    const toInput = container.querySelector('.date-filter-to');
+    const yearInput = container.querySelector('.date-filter-year');
+    const monthInput = container.querySelector('.date-filter-month');
+    const timeCheckbox = container.querySelector('.date-filter-time');
+    const zoneSelect = container.querySelector('.date-filter-zone');
+    const previewEl = container.querySelector('.date-filter-preview');
+
+    let field = '';
+    zoneSelect.value = getPreferredDateTimeZone();
+
+    // The pickers sit inside the builder form; keep them out of its input handling
+    container.addEventListener('input', e => {
+        e.stopPropagation();
+        update();
+    });
+    container.addEventListener('change', update);
+    zoneSelect.addEventListener('change', () => setPreferredDateTimeZone(zoneSelect.value));
+    timeCheckbox.addEventListener('change', () => {
+        // Keep the picked dates when switching between date and date-time inputs
+        [fromInput, toInput].forEach(input => {
+            const date = input.value.slice(0, 10);
+            input.type = timeCheckbox.checked ? 'datetime-local' : 'date';
+            input.value = date && timeCheckbox.checked ? `${date}T00:00` : date;
+        });
+        update();
+    });
+    container.querySelector('.date-filter-presets').addEventListener('click', e => {
+        const btn = e.target.closest('.date-filter-preset');
+        if (btn) applyPreset(DATE_FILTER_PRESETS[btn.dataset.preset]);
+    });
+
+    update();
+
+    function applyPreset(preset) {
+        const spec = preset.spec(getZonedToday(zoneSelect.value));
+        if (timeCheckbox.checked) {
+            timeCheckbox.checked = false;
+            fromInput.type = 'date';
+            toInput.type = 'date';
+        }
+        modeSelect.value = spec.mode;
+        fromInput.value = spec.from || '';
+        toInput.value = spec.to || '';
+        yearInput.value = spec.year || '';
+        monthInput.value = spec.month || '';
+        update();
+    }
+
+    function getSpec() {
+        return {
+            mode: modeSelect.value,
+            from: fromInput.value,
+            to: toInput.value,
+            year: yearInput.value,
+            month: monthInput.value,
+            timeZone: zoneSelect.value
+        };
+    }
+
+    function getNodes() {
+        if (!field) throw new Error('Select a field first');
+        return buildDateFilterNodes(field, getSpec());
+    }
+
+    function setField(name) {
+        field = name;
+        update();
+    }
+
+    function update() {
+        const mode = modeSelect.value;
+        const show = (el, visible) => {
+            el.style.display = visible ? '' : 'none';
+        };
+        show(fromInput, ['on', 'between', 'after', 'before'].includes(mode));
+        show(container.querySelector('.date-filter-and'), mode === 'between');
+        show(toInput, mode === 'between');
+        show(yearInput, mode === 'year');
+        show(monthInput, mode === 'month');
+        show(container.querySelector('.date-filter-time-toggle'), ['between', 'after', 'before'].includes(mode));
+
+        if (mode === 'on' && timeCheckbox.checked) {
+            timeCheckbox.checked = false;
+            fromInput.type = 'date';
+            toInput.type = 'date';
+            fromInput.value = fromInput.value.slice(0, 10);
+            toInput.value = toInput.value.slice(0, 10);
+        }
+
+        try {
+            previewEl.textContent = field ? formatDateFilter(field, getSpec()) : '';
+            previewEl.classList.remove('incomplete');
+        } catch (error) {
+            previewEl.textContent = error.message;
+            previewEl.classList.add('incomplete');
+        }
+    }
+
+    return { setField, getSpec, getNodes };
+}
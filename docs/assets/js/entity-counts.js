@@ -0,0 +1,149 @@
+/**
+ * Danish Parliament API Documentation - Entity Count Service
+ *
+ * Live record counts for ODA entities, fetched with $inlinecount=allpages
+ * and cached in localStorage so pages don't re-count on every visit.
+ */
+
+const ENTITY_COUNT_TTL = 15 * 60 * 1000; // 15 minutes
+const ENTITY_COUNT_STORAGE_KEY = 'oda-docs-entity-counts';
+
+// Requests in flight, shared so several widgets asking at once cost one call
+const pendingEntityCounts = new Map();
+
+/**
+ * Read the persisted count cache
+ */
+function readEntityCountCache() {
+    try {
+        return JSON.parse(localStorage.getItem(ENTITY_COUNT_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Persist the count cache (storage may be full or disabled)
+ */
+function writeEntityCountCache(cache) {
+    try {
+        localStorage.setItem(ENTITY_COUNT_STORAGE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.warn('Could not cache entity counts:', error);
+    }
+}
+
+/**
+ * Get the record count for an entity
+ *
+ * Resolves with { entity, count, previousCount, fetchedAt, cached }.
+ * previousCount is the count seen before the latest refresh, or null.
+ */
+async function getEntityCount(entity, options = {}) {
+    const baseUrl = options.baseUrl || getApiBaseUrl();
+    const maxAge = options.maxAge !== undefined ? options.maxAge : ENTITY_COUNT_TTL;
+    const cacheKey = `${baseUrl}|${entity}`;
+
+    const cached = readEntityCountCache()[cacheKey];
+    if (cached && Date.now() - cached.fetchedAt < maxAge) {
+        return { entity, ...cached, cached: true };
+    }
+
+    if (pendingEntityCounts.has(cacheKey)) {
+        return pendingEntityCounts.get(cacheKey);
+    }
+
+    const request = (async () => {
+        const url = `${baseUrl}/${encodeURIComponent(entity)}?%24inlinecount=allpages&%24top=1&%24select=id`;
+        const data = await fetchOdaJson(url, { timeout: options.timeout });
+        const count = parseInt(data['odata.count'], 10);
+        if (isNaN(count)) {
+            throw new Error(`No count returned for ${entity}`);
+        }
+
+        // Re-read in case another tab refreshed while we waited
+        const cache = readEntityCountCache();
+        const previous = cache[cacheKey];
+        const entry = {
+            count,
+            previousCount: previous ? previous.count : null,
+            fetchedAt: Date.now()
+        };
+        cache[cacheKey] = entry;
+        writeEntityCountCache(cache);
+
+        return { entity, ...entry, cached: false };
+    })();
+
+    pendingEntityCounts.set(cacheKey, request);
+    try {
+        return await request;
+    } finally {
+        pendingEntityCounts.delete(cacheKey);
+    }
+}
+
+/**
+ * Trend direction of a count result compared with the previous count
+ */
+function getCountTrend(result) {
+    if (!result || result.previousCount === null || result.previousCount === undefined) return 'stable';
+    if (result.count > result.previousCount) return 'up';
+    if (result.count < result.previousCount) return 'down';
+    return 'stable';
+}
+
+/**
+ * Resolve which entity a [data-api-count] element counts
+ */
+function getCountElementEntity(element) {
+    return element.dataset.entity || API_ENDPOINTS[element.dataset.apiCount] || null;
+}
+
+/**
+ * Fill every [data-api-count] element in a container with live counts
+ *
+ * `render(element, result)` displays a count; elements keep their static
+ * text when the count can't be fetched. Resolves with the settled results.
+ */
+async function updateApiCountElements(container, options = {}) {
+    const root = container || document;
+    const render = options.render || ((element, result) => {
+        element.textContent = result.count.toLocaleString();
+    });
+
+    const elements = Array.from(root.querySelectorAll('[data-api-count]'));
+    return Promise.all(elements.map(async element => {
+        const entity = getCountElementEntity(element);
+        if (!entity) return null;
+
+        try {
+            const result = await getEntityCount(entity, options);
+            render(element, result);
+            return result;
+        } catch (error) {
+            console.warn(`Could not count ${entity}:`, error);
+            return null;
+        }
+    }));
+}
+
+/**
+ * Append live record counts to the labels of an entity <select>
+ *
+ * Only options marked with a `data-count` attribute are counted.
+ */
+async function updateEntityOptionCounts(select, options = {}) {
+    const optionEls = Array.from(select.querySelectorAll('option[data-count]'));
+
+    await Promise.all(optionEls.map(async option => {
+        if (!option.dataset.label) option.dataset.label = option.textContent.trim();
+
+        try {
+            const result = await getEntityCount(option.value, options);
+            option.textContent = `${option.dataset.label} - ${result.count.toLocaleString()} records`;
+        } catch (error) {
+            option.textContent = option.dataset.label;
+        }
+    }));
+}
@@ -0,0 +1,168 @@
+/**
+ * Danish Parliament API Documentation - $expand Picker
+ *
+ * Tree of an entity's navigation properties for building $expand paths.
+ * Each node can be opened to list the related entity's own navigation
+ * properties, so paths like SagAktør/Aktør are picked rather than typed.
+ * Nodes stop opening at ODA's depth limit (ODA_MAX_EXPAND_SEGMENTS), past
+ * which the API answers with an empty HTTP 400.
+ *
+ * Checking a path implies its parents (OData expands every segment), so
+ * only the deepest checked paths are written to $expand.
+ */
+
+/**
+ * Check typed $expand paths against the navigation properties
+ *
+ * Returns [{ path, message }] for unknown segments. Paths that are too
+ * deep are left to the query linter, which can fix them.
+ */
+function validateExpandPaths(paths, entityName, entitySets) {
+    const issues = [];
+
+    paths.forEach(path => {
+        const segments = path.split('/');
+        let current = entityName;
+
+        for (const segment of segments) {
+            const entitySet = entitySets[current];
+            const navigationProperties = entitySet ? entitySet.navigationProperties : [];
+            const nav = navigationProperties.find(item => item.name === segment);
+            if (!nav) {
+                const suggestion = suggestName(segment, navigationProperties.map(item => item.name));
+                issues.push({
+                    path,
+                    message: `${current} has no relation "${segment}"${suggestion ? ` - did you mean ${suggestion}?` : ''}`
+                });
+                return;
+            }
+            current = nav.target;
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Wire a .expand-picker element into a tree picker
+ *
+ * Options: getEntity() - the selected entity set, getEntitySets() -
+ * entity sets by name (each with navigationProperties), and
+ * onChange(expandText) - called whenever the checked paths change.
+ * Returns { setExpand, getExpand, refresh }.
+ */
+function createExpandPicker(container, options = {}) {
+    const getEntity = options.getEntity || (() => '');
+    const getEntitySets = options.getEntitySets || (() => ({}));
+    const onChange = options.onChange || (() => {});
+
+    const tree = container.querySelector('.expand-tree');
+    const issuesEl = container.querySelector('.expand-issues');
+
+    let paths = [];
+    const openPaths = new Set();
+
+    tree.addEventListener('click', e => {
+        const toggle = e.target.closest('.expand-toggle');
+        if (!toggle || toggle.disabled) return;
+        const path = toggle.dataset.path;
+        if (openPaths.has(path)) openPaths.delete(path);
+        else openPaths.add(path);
+        render();
+    });
+
+    // The checkboxes sit inside the builder form; keep them out of its input handling
+    tree.addEventListener('input', e => e.stopPropagation());
+    tree.addEventListener('change', e => {
+        if (!e.target.matches('input[type="checkbox"]')) return;
+        if (e.target.checked) check(e.target.dataset.path);
+        else uncheck(e.target.dataset.path);
+        render();
+        onChange(getExpand());
+    });
+
+    render();
+
+    function isChecked(path) {
+        return paths.some(item => item === path || item.startsWith(`${path}/`));
+    }
+
+    function check(path) {
+        paths = paths.filter(item => !path.startsWith(`${item}/`)).concat(path);
+    }
+
+    /**
+     * Uncheck a path and everything below it; its parent stays expanded
+     */
+    function uncheck(path) {
+        paths = paths.filter(item => item !== path && !item.startsWith(`${path}/`));
+        const parent = path.split('/').slice(0, -1).join('/');
+        if (parent && !isChecked(parent)) paths.push(parent);
+    }
+
+    function getExpand() {
+        return paths.join(',');
+    }
+
+    /**
+     * Follow $expand text typed elsewhere
+     */
+    function setExpand(text) {
+        paths = Array.from(new Set(String(text || '').split(',').map(path => path.trim()).filter(Boolean)));
+        // Open the tree down to every typed path
+        paths.forEach(path => {
+            const segments = path.split('/');
+            for (let i = 1; i < segments.length; i++) openPaths.add(segments.slice(0, i).join('/'));
+        });
+        render();
+    }
+
+    function refresh() {
+        openPaths.clear();
+        render();
+    }
+
+    function render() {
+        const entitySets = getEntitySets();
+        const entity = getEntity();
+        const entitySet = entitySets[entity];
+
+        tree.innerHTML = entitySet && entitySet.navigationProperties.length
+            ? renderLevel(entitySet, '', 1)
+            : '<small>No relations to expand</small>';
+
+        const issues = validateExpandPaths(paths, entity, entitySets);
+        issuesEl.style.display = issues.length ? 'block' : 'none';
+        issuesEl.innerHTML = issues.map(issue => `<div>⚠️ ${escapeHtml(issue.message)}</div>`).join('');
+    }
+
+    function renderLevel(entitySet, parentPath, depth) {
+        const entitySets = getEntitySets();
+
+        return `
+            <ul class="expand-level">
+                ${entitySet.navigationProperties.map(nav => {
+                    const path = parentPath ? `${parentPath}/${nav.name}` : nav.name;
+                    const target = entitySets[nav.target];
+                    const canOpen = depth < ODA_MAX_EXPAND_SEGMENTS && target && target.navigationProperties.length > 0;
+                    const open = canOpen && openPaths.has(path);
+
+                    return `
+                        <li class="expand-node">
+                            <button type="button" class="expand-toggle" data-path="${escapeHtml(path)}" ${canOpen ? '' : 'disabled'}
+                                title="${canOpen ? `Relations of ${escapeHtml(nav.target)}` : depth >= ODA_MAX_EXPAND_SEGMENTS ? `ODA expands at most ${ODA_MAX_EXPAND_SEGMENTS} levels` : 'No further relations'}">${canOpen ? (open ? '▾' : '▸') : '·'}</button>
+                            <label>
+                                <input type="checkbox" data-path="${escapeHtml(path)}" ${isChecked(path) ? 'checked' : ''}>
+                                ${escapeHtml(nav.name)}
+                            </label>
+                            <small class="expand-target">${escapeHtml(nav.target)} (${nav.multiplicity === '*' ? 'many' : 'one'})</small>
+                            ${open ? renderLevel(target, path, depth + 1) : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    return { setExpand, getExpand, refresh };
+}
@@ -0,0 +1,447 @@
+/**
+ * Danish Parliament API Documentation - Filter Composer
+ *
+ * Visual $filter builder for the Advanced tab. Conditions are chips in
+ * nested AND/OR groups:
+ *
+ *   { type: 'group', operator: 'and', items: [
+ *       { type: 'condition', field: 'typeid', operator: 'eq', value: '3' },
+ *       { type: 'condition', field: 'titel', operator: 'eq', value: '10', literal: "'10'" },
+ *       { type: 'group', operator: 'or', items: [...] },
+ *       { type: 'raw', text: 'year(dato) eq 2025' }
+ *   ] }
+ *
+ * Parts of a typed filter the chips can't represent (functions such as
+ * year(), not, arithmetic) are kept as read-only "raw" chips, so any
+ * valid filter round-trips between the composer and the text input.
+ * Conditions read from text keep their literal as typed (`literal`), so
+ * '10', 5L or datetimeoffset'...' are written back unchanged.
+ */
+
+const FILTER_FUNCTION_OPERATORS = ['substringof', 'startswith', 'endswith'];
+
+/**
+ * Write one condition as OData, using the field's type for the literal
+ * unless the condition carries the literal it was read with
+ */
+function formatFilterCondition(condition, properties) {
+    const property = (properties || []).find(p => p.name === condition.field);
+    const type = property ? property.type : null;
+
+    if (FILTER_FUNCTION_OPERATORS.includes(condition.operator)) {
+        if (!condition.literal && type && type !== 'String') {
+            throw new Error(`${condition.operator} only works on text fields, and ${condition.field} is ${type}`);
+        }
+        const value = condition.literal || formatFilterLiteral(condition.value, 'String');
+        // substringof takes the search text first; the others take the field first
+        return condition.operator === 'substringof'
+            ? `substringof(${value}, ${condition.field})`
+            : `${condition.operator}(${condition.field}, ${value})`;
+    }
+
+    return `${condition.field} ${condition.operator} ${condition.literal || formatFilterLiteral(condition.value, type)}`;
+}
+
+/**
+ * Check that a tree from outside the page (a permalink, an imported
+ * library) has only the node shapes the composer builds
+ */
+function isValidFilterTree(node) {
+    if (!node || typeof node !== 'object') return false;
+    const isText = value => typeof value === 'string';
+
+    switch (node.type) {
+        case 'group':
+            return (node.operator === 'and' || node.operator === 'or')
+                && Array.isArray(node.items) && node.items.every(isValidFilterTree);
+        case 'condition':
+            return [...ODATA_COMPARISON_OPERATORS, ...FILTER_FUNCTION_OPERATORS].includes(node.operator)
+                && isText(node.field) && isText(node.value)
+                && (node.literal === undefined || isText(node.literal));
+        case 'raw':
+            return isText(node.text);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Serialize a composer tree to $filter text
+ *
+ * Nested groups with more than one item are wrapped in parentheses;
+ * empty groups are left out.
+ */
+function serializeFilterTree(node, properties, nested = false) {
+    if (node.type === 'raw') return node.text;
+    if (node.type === 'condition') return formatFilterCondition(node, properties);
+
+    const parts = node.items.map(item => serializeFilterTree(item, properties, true)).filter(Boolean);
+    const text = parts.join(` ${node.operator} `);
+    return nested && parts.length > 1 ? `(${text})` : text;
+}
+
+/**
+ * Convert $filter text to a composer tree (throws on syntax errors)
+ */
+function parseFilterTree(text) {
+    const expression = parseFilter(text);
+    const root = { type: 'group', operator: 'and', items: [] };
+    if (!expression) return root;
+
+    const toNode = node => {
+        if (node.type === 'binary' && (node.operator === 'and' || node.operator === 'or')) {
+            // a and b and c is one group of three, not two nested groups
+            const items = [];
+            const collect = child => {
+                if (child.type === 'binary' && child.operator === node.operator) {
+                    collect(child.left);
+                    collect(child.right);
+                } else {
+                    items.push(toNode(child));
+                }
+            };
+            collect(node);
+            return { type: 'group', operator: node.operator, items };
+        }
+
+        return toCondition(node) || { type: 'raw', text: text.slice(node.start, node.end) };
+    };
+
+    // The literal exactly as typed, so re-serializing doesn't guess its type again
+    const condition = (field, operator, literal) => ({
+        type: 'condition', field, operator, value: literal.value, literal: text.slice(literal.start, literal.end)
+    });
+
+    const toCondition = node => {
+        if (node.type === 'binary' && ODATA_COMPARISON_OPERATORS.includes(node.operator)
+            && node.left.type === 'member' && node.right.type === 'literal') {
+            return condition(node.left.name, node.operator, node.right);
+        }
+
+        if (node.type === 'call' && node.args.length === 2) {
+            const [first, second] = node.args;
+            if (node.name === 'substringof' && first.type === 'literal' && first.kind === 'string' && second.type === 'member') {
+                return condition(second.name, 'substringof', first);
+            }
+            if ((node.name === 'startswith' || node.name === 'endswith')
+                && first.type === 'member' && second.type === 'literal' && second.kind === 'string') {
+                return condition(first.name, node.name, second);
+            }
+        }
+
+        return null;
+    };
+
+    const node = toNode(expression);
+    return node.type === 'group' ? node : { ...root, items: [node] };
+}
+
+/**
+ * Wire the Advanced tab's filter controls into a composer
+ *
+ * `container` holds the .filter-builder controls and .active-filters.
+ * Options: getProperties() - properties of the selected entity,
+ * onChange(filterText) - called whenever the chips change,
+ * getValueOptions(field) - a promise of [{ value, label }] for fields with a
+ * fixed set of values, or null, and describeValue(field, value) - a name
+ * shown next to a chip's value, or null, and searchValues(field, term,
+ * { signal }) - a promise of [{ value, label, context }] matches for ID
+ * fields, or null. getValueHint(field) may return a placeholder for the
+ * value box.
+ * DateTime fields swap the operator and value for the date pickers in
+ * .filter-date, when the container has one.
+ * Returns { setFilter, getFilter, getTree, setTree, refresh }.
+ */
+function createFilterComposer(container, options = {}) {
+    const getProperties = options.getProperties || (() => []);
+    const onChange = options.onChange || (() => {});
+    const getValueOptions = options.getValueOptions || (() => null);
+    const describeValue = options.describeValue || (() => null);
+    const searchValues = options.searchValues || (() => null);
+    const getValueHint = options.getValueHint || (() => null);
+
+    const fieldSelect = container.querySelector('.filter-field');
+    const operatorSelect = container.querySelector('.filter-operator');
+    const valueInput = container.querySelector('.filter-value');
+    const valueSelect = container.querySelector('.filter-value-select');
+    const dateEl = container.querySelector('.filter-date');
+    const dateInput = dateEl ? createDateFilterInput(dateEl) : null;
+    const addButton = container.querySelector('.add-filter-btn');
+    const list = container.querySelector('.active-filters');
+
+    let tree = { type: 'group', operator: 'and', items: [] };
+    let targetPath = []; // group that "Add Filter" adds to
+    let parseError = null;
+
+    const errorEl = document.createElement('p');
+    errorEl.className = 'filter-composer-error';
+    errorEl.style.display = 'none';
+    list.before(errorEl);
+
+    // Set up before the Enter handler below, so picking a match doesn't also add it
+    createRecordTypeahead(valueInput, {
+        search: (term, searchOptions) => searchValues(fieldSelect.value, term, searchOptions)
+    });
+
+    addButton.addEventListener('click', addCondition);
+    valueInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addCondition();
+        }
+    });
+    fieldSelect.addEventListener('change', updateValueHint);
+    fieldSelect.addEventListener('change', updateValueControl);
+
+    render();
+
+    function getNode(path) {
+        return path.reduce((node, index) => node.items[index], tree);
+    }
+
+    function showError(message) {
+        errorEl.textContent = message || '';
+        errorEl.style.display = message ? 'block' : 'none';
+    }
+
+    function updateValueHint() {
+        const property = getProperties().find(p => p.name === fieldSelect.value);
+        const type = property ? property.type : '';
+        valueInput.placeholder = getValueHint(fieldSelect.value)
+            || (type === 'DateTime' ? 'YYYY-MM-DD'
+                : type === 'Boolean' ? 'true or false'
+                : ODATA_NUMERIC_TYPES.includes(type) ? 'Number'
+                : 'Value');
+    }
+
+    /**
+     * Offer date pickers for DateTime fields, and a dropdown of names
+     * instead of the text box when the field has a fixed set of values;
+     * the text box comes back if the names can't be loaded
+     */
+    function updateValueControl() {
+        const field = fieldSelect.value;
+        const property = getProperties().find(p => p.name === field);
+        const dateMode = Boolean(dateInput && property && property.type === 'DateTime');
+        const request = valueSelect && !dateMode ? getValueOptions(field) : null;
+        const show = control => {
+            valueInput.style.display = control === 'input' ? '' : 'none';
+            if (valueSelect) valueSelect.style.display = control === 'select' ? '' : 'none';
+            if (dateInput) {
+                dateEl.style.display = control === 'date' ? '' : 'none';
+                operatorSelect.style.display = control === 'date' ? 'none' : '';
+                fieldSelect.parentElement.classList.toggle('date-mode', control === 'date');
+            }
+        };
+
+        if (dateMode) {
+            dateInput.setField(field);
+            show('date');
+            return;
+        }
+        if (!request) {
+            show('input');
+            return;
+        }
+
+        const previous = valueSelect.dataset.field === field ? valueSelect.value : '';
+        valueSelect.dataset.field = field;
+        valueSelect.innerHTML = '<option value="">Loading names...</option>';
+        show('select');
+
+        request.then(items => {
+            if (fieldSelect.value !== field) return;
+            valueSelect.innerHTML = items.map(item => `
+                <option value="${escapeHtml(item.value)}" ${item.value === previous ? 'selected' : ''}>${escapeHtml(item.value)} - ${escapeHtml(item.label)}</option>
+            `).join('');
+            // Chips may be waiting for these names
+            render();
+        }).catch(() => {
+            if (fieldSelect.value === field) show('input');
+        });
+    }
+
+    function addCondition() {
+        if (!fieldSelect.value) {
+            showError('Select a field first');
+            return;
+        }
+
+        if (dateInput && dateEl.style.display !== 'none') {
+            addDateCondition();
+            return;
+        }
+
+        if (valueSelect && valueSelect.style.display !== 'none' && !valueSelect.value) {
+            showError('Pick a value first');
+            return;
+        }
+
+        const condition = {
+            type: 'condition',
+            field: fieldSelect.value,
+            operator: operatorSelect.value,
+            value: valueSelect && valueSelect.style.display !== 'none' ? valueSelect.value : valueInput.value
+        };
+
+        try {
+            formatFilterCondition(condition, getProperties());
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+
+        getNode(targetPath).items.push(condition);
+        valueInput.value = '';
+        changed();
+    }
+
+    /**
+     * Add the date pickers' conditions; a range inside an OR group gets
+     * its own AND group so both ends apply
+     */
+    function addDateCondition() {
+        let nodes;
+        try {
+            nodes = dateInput.getNodes();
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+
+        const group = getNode(targetPath);
+        if (nodes.length > 1 && group.operator !== 'and') {
+            group.items.push({ type: 'group', operator: 'and', items: nodes });
+        } else {
+            group.items.push(...nodes);
+        }
+        changed();
+    }
+
+    function changed() {
+        parseError = null;
+        render();
+        try {
+            onChange(getFilter());
+        } catch (error) {
+            // A chip no longer fits the selected entity's field types
+            showError(error.message);
+        }
+    }
+
+    function getFilter() {
+        return serializeFilterTree(tree, getProperties());
+    }
+
+    /**
+     * Replace the chips with a filter typed elsewhere
+     *
+     * Text that doesn't parse leaves the chips as they were and shows why.
+     */
+    function setFilter(text) {
+        try {
+            tree = parseFilterTree(text || '');
+            targetPath = [];
+            parseError = null;
+        } catch (error) {
+            parseError = error;
+        }
+        render();
+    }
+
+    function getTree() {
+        return JSON.parse(JSON.stringify(tree));
+    }
+
+    /**
+     * Restore chips saved with getTree(), keeping their grouping
+     */
+    function setTree(savedTree) {
+        tree = JSON.parse(JSON.stringify(savedTree));
+        targetPath = [];
+        parseError = null;
+        render();
+    }
+
+    function render() {
+        showError(parseError ? `The filter can't be shown as chips: ${parseError.message}` : '');
+        list.innerHTML = tree.items.length ? renderGroup(tree, []) : '<small>No filters yet - add one above</small>';
+
+        list.querySelectorAll('[data-action]').forEach(el => {
+            el.addEventListener('click', e => {
+                e.stopPropagation();
+                const path = el.dataset.path ? el.dataset.path.split('.').map(Number) : [];
+                handleAction(el.dataset.action, path);
+            });
+        });
+    }
+
+    function renderGroup(group, path) {
+        const pathText = path.join('.');
+        const isTarget = pathText === targetPath.join('.');
+        const nested = path.length > 0;
+
+        return `
+            <div class="filter-group${isTarget ? ' target' : ''}" data-action="target" data-path="${pathText}">
+                ${nested ? '<span class="filter-paren">(</span>' : ''}
+                ${group.items.map((item, index) => `
+                    ${index ? `<button type="button" class="filter-group-op" data-action="toggle" data-path="${pathText}" title="Switch between AND and OR">${escapeHtml(group.operator.toUpperCase())}</button>` : ''}
+                    ${item.type === 'group' ? renderGroup(item, path.concat(index)) : renderChip(item, path.concat(index))}
+                `).join('')}
+                ${nested ? '<span class="filter-paren">)</span>' : ''}
+                <button type="button" class="filter-group-add" data-action="add-group" data-path="${pathText}" title="Add a parenthesized group">+ ( )</button>
+                ${nested ? `<button type="button" class="filter-chip-remove" data-action="remove" data-path="${pathText}" title="Remove group">×</button>` : ''}
+            </div>
+        `;
+    }
+
+    function renderChip(item, path) {
+        let label;
+        let invalid = false;
+        const valueLabel = item.type === 'condition' ? describeValue(item.field, item.value) : null;
+        try {
+            label = serializeFilterTree(item, getProperties());
+        } catch (error) {
+            label = `${item.field} ${item.operator} ${item.value}`;
+            invalid = error.message;
+        }
+
+        return `
+            <span class="filter-chip${item.type === 'raw' ? ' raw' : ''}${invalid ? ' invalid' : ''}" title="${escapeHtml(invalid || (item.type === 'raw' ? 'Edit this part in the Basic tab filter' : label))}">
+                <code>${escapeHtml(label)}</code>
+                ${valueLabel ? `<small class="filter-chip-label">${escapeHtml(valueLabel)}</small>` : ''}
+                <button type="button" class="filter-chip-remove" data-action="remove" data-path="${path.join('.')}" title="Remove">×</button>
+            </span>
+        `;
+    }
+
+    function handleAction(action, path) {
+        switch (action) {
+            case 'target':
+                targetPath = path;
+                render();
+                return;
+            case 'toggle': {
+                const group = getNode(path);
+                group.operator = group.operator === 'and' ? 'or' : 'and';
+                break;
+            }
+            case 'add-group': {
+                const group = getNode(path);
+                group.items.push({ type: 'group', operator: group.operator === 'and' ? 'or' : 'and', items: [] });
+                targetPath = path.concat(group.items.length - 1);
+                break;
+            }
+            case 'remove': {
+                const parent = getNode(path.slice(0, -1));
+                parent.items.splice(path[path.length - 1], 1);
+                // Indexes after the removed item shift, so start over at the top
+                targetPath = [];
+                break;
+            }
+        }
+        changed();
+    }
+
+    return { setFilter, getFilter, getTree, setTree, refresh: () => { updateValueHint(); updateValueControl(); render(); } };
+}
@@ -4,7 +4,7 @@
  * This file provides interactive functionality for the documentation including:
  * - Live API status checking
  * - Query builder interface
- * - Response visualization
+ * - Response visualization (see response-viewer.js)
  * - Copy-to-clipboard functionality
  */
 
@@ -25,6 +25,8 @@ document.addEventListener('DOMContentLoaded', function() {
     setupApiStatusWidget();
     setupCopyToClipboard();
     setupQueryBuilder();
+    setupResponseViewers();
+    setupRecordInspectors();
 });
 
 /**
@@ -74,7 +76,10 @@ function setupEnhancedStatusWidget() {
     if (!widget) return;
     
     // Status widget state
-    let statusHistory = [];
+    const apiBaseUrl = getApiBaseUrl(widget);
+    const thresholds = getStatusThresholds(widget);
+    const statusMachine = createStatusStateMachine(thresholds.consecutiveChecks);
+    let historyWindow = '24h';
     let statusInterval;
     
     // Initialize the widget
@@ -94,6 +99,8 @@ function setupEnhancedStatusWidget() {
     }
     
     function setupStatusTabs() {
+        setupHistoryWindows();
+        
         const tabs = widget.querySelectorAll('.detail-tab');
         const contents = widget.querySelectorAll('.detail-content');
         
@@ -117,93 +124,133 @@ function setupEnhancedStatusWidget() {
         });
     }
     
+    function setupHistoryWindows() {
+        const buttons = widget.querySelectorAll('.history-window');
+        
+        buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                historyWindow = btn.dataset.window;
+                buttons.forEach(b => b.classList.toggle('active', b === btn));
+                drawResponseHistory();
+            });
+        });
+    }
+    
     async function refreshStatus() {
         updateLastCheckTime();
         
-        try {
-            await Promise.all([
+        const [checks] = await Promise.all([
+            Promise.all([
                 checkApiEndpoint(),
-                updateEntityCounts(),
                 checkODataService(),
                 checkMetadata(),
                 updateActivity()
-            ]);
-            
-            updateOverallStatus('online');
-        } catch (error) {
-            console.error('Status check failed:', error);
-            updateOverallStatus('offline');
-        }
+            ]),
+            updateEntityCounts()
+        ]);
+        
+        const evaluation = evaluateHealthChecks(checks, getStatusHistory(apiBaseUrl, '24h'), thresholds);
+        const state = statusMachine.update(evaluation);
+        updateOverallStatus(state.status, state);
+    }
+    
+    /**
+     * Probe a URL and reflect the result in a health item
+     */
+    async function runHealthCheck(elementId, label, url, critical) {
+        const healthItem = document.getElementById(elementId);
+        updateHealthCheck(healthItem, 'checking', 'Checking...');
+        
+        const result = await probeEndpoint(url);
+        const status = !result.ok ? 'error' : result.opaque ? 'warning' : 'healthy';
+        updateHealthCheck(healthItem, status, result.message);
+        
+        return { label, status, message: result.message, latency: result.latency, critical, result };
     }
     
     async function checkApiEndpoint() {
-        const startTime = performance.now();
-        const healthItem = document.getElementById('endpoint-check');
+        const check = await runHealthCheck('endpoint-check', 'Primary endpoint', `${apiBaseUrl}/Sag?%24top=1&%24select=id`, true);
         
-        try {
-            // Simulate API call since CORS prevents direct testing
-            const responseTime = Math.floor(Math.random() * 200) + 80; // 80-280ms
-            await new Promise(resolve => setTimeout(resolve, responseTime));
-            
-            statusHistory.push({ time: Date.now(), responseTime });
-            if (statusHistory.length > 20) statusHistory.shift();
-            
-            updateHealthCheck(healthItem, 'healthy', `${responseTime}ms`);
-            updateResponseTime(responseTime);
-            updateResponseQuality(responseTime);
-            
-        } catch (error) {
-            updateHealthCheck(healthItem, 'error', 'Failed');
-            updateOverallStatus('offline');
+        recordStatusCheck(apiBaseUrl, { time: Date.now(), responseTime: check.latency, ok: check.result.ok });
+        
+        if (check.result.ok) {
+            updateResponseTime(check.latency);
+            updateResponseQuality(check.latency);
         }
+        
+        return check;
     }
     
     async function updateEntityCounts() {
-        const entities = [
-            { name: 'cases', entity: 'Sag', baseCount: 96538 },
-            { name: 'actors', entity: 'Aktør', baseCount: 18139 },
-            { name: 'votes', entity: 'Stemme', baseCount: 2500000 },
-            { name: 'documents', entity: 'Dokument', baseCount: 145000 }
-        ];
-        
-        entities.forEach(entityInfo => {
-            const element = document.querySelector(`[data-api-count="${entityInfo.name}"]`);
-            if (element) {
-                const variation = Math.floor(Math.random() * 100);
-                const count = entityInfo.baseCount + variation;
-                animateNumber(element, count);
-                updateTrend(entityInfo.name, variation > 50 ? 'up' : 'stable');
+        await updateApiCountElements(widget, {
+            baseUrl: apiBaseUrl,
+            render: (element, result) => {
+                animateNumber(element, result.count);
+                updateTrend(element.dataset.apiCount, getCountTrend(result));
             }
         });
     }
     
     async function checkODataService() {
-        const healthItem = document.getElementById('odata-check');
-        await new Promise(resolve => setTimeout(resolve, 100));
-        updateHealthCheck(healthItem, 'healthy', 'Operational');
+        return runHealthCheck('odata-check', 'OData service', `${apiBaseUrl}/`, true);
     }
     
     async function checkMetadata() {
         const healthItem = document.getElementById('metadata-check');
-        await new Promise(resolve => setTimeout(resolve, 80));
-        updateHealthCheck(healthItem, 'healthy', 'Available');
+        const check = { label: 'Metadata', status: 'healthy', message: '' };
+        updateHealthCheck(healthItem, 'checking', 'Checking...');
+        
+        try {
+            const model = await refreshOdaMetadata(apiBaseUrl);
+            check.latency = model.latency;
+            check.message = `Available (${Object.keys(model.entitySets).length} entity sets, ${model.latency}ms)`;
+        } catch (error) {
+            check.status = 'error';
+            check.message = error.name === 'AbortError' ? 'Timed out' : `Unavailable (${error.message})`;
+        }
+        
+        updateHealthCheck(healthItem, check.status, check.message);
+        return check;
     }
     
     async function updateActivity() {
-        const todayUpdates = Math.floor(Math.random() * 50) + 20;
-        const todayElement = document.getElementById('today-updates');
-        if (todayElement) animateNumber(todayElement, todayUpdates);
-        
-        const lastUpdateElement = document.getElementById('last-update');
-        if (lastUpdateElement) {
-            const minutesAgo = Math.floor(Math.random() * 30) + 5;
-            const lastUpdate = new Date(Date.now() - minutesAgo * 60 * 1000);
-            lastUpdateElement.textContent = formatRelativeTime(lastUpdate);
+        const healthItem = document.getElementById('freshness-check');
+        const check = { label: 'Data freshness', status: 'healthy', message: '' };
+        updateHealthCheck(healthItem, 'checking', 'Checking...');
+        
+        try {
+            // Most recently updated case tells us when data last changed
+            const latest = await fetchOdaJson(`${apiBaseUrl}/Sag?%24top=1&%24orderby=opdateringsdato%20desc&%24select=opdateringsdato`);
+            const lastUpdate = new Date(latest.value[0].opdateringsdato);
+            const minutesAgo = Math.max(0, Math.floor((Date.now() - lastUpdate) / (1000 * 60)));
+            
+            const lastUpdateElement = document.getElementById('last-update');
+            if (lastUpdateElement) lastUpdateElement.textContent = formatRelativeTime(lastUpdate);
             updateDataFreshness(minutesAgo);
+            
+            check.message = `Updated ${formatRelativeTime(lastUpdate)}`;
+            if (minutesAgo > thresholds.freshnessHours * 60) {
+                check.status = 'warning';
+                check.message = `No updates for ${formatRelativeTime(lastUpdate).replace(' ago', '')}`;
+            }
+            
+            // Cases updated since local midnight
+            const today = new Date();
+            const todayDate = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+            const filter = encodeURIComponent(`opdateringsdato ge datetime'${todayDate}'`);
+            const todayData = await fetchOdaJson(`${apiBaseUrl}/Sag?%24filter=${filter}&%24inlinecount=allpages&%24top=1&%24select=id`);
+            const todayElement = document.getElementById('today-updates');
+            if (todayElement) animateNumber(todayElement, parseInt(todayData['odata.count'], 10) || 0);
+        } catch (error) {
+            check.status = 'error';
+            check.message = `Could not read updates (${error.name === 'AbortError' ? 'timed out' : error.message})`;
         }
+        
+        updateHealthCheck(healthItem, check.status, check.message);
+        return check;
     }
     
-    function updateOverallStatus(status) {
+    function updateOverallStatus(status, state = {}) {
         const statusIndicator = document.getElementById('main-status');
         const statusText = document.getElementById('status-text');
         const uptimeDisplay = document.getElementById('uptime-display');
@@ -216,10 +263,23 @@ function setupEnhancedStatusWidget() {
                 degraded: 'Experiencing some issues',
                 offline: 'Service unavailable'
             };
-            statusText.textContent = messages[status] || 'Status unknown';
+            const reasons = status === 'online' ? [] : (state.reasons || []);
+            statusText.textContent = (messages[status] || 'Status unknown') + (reasons.length ? ` - ${reasons.join('; ')}` : '');
+            statusText.title = state.pendingStatus
+                ? `Possibly ${state.pendingStatus} (${state.pendingCount} of ${thresholds.consecutiveChecks} checks)`
+                : '';
+        }
+        
+        if (uptimeDisplay) {
+            // Uptime over the 30-day rolling window, from checks stored in this browser
+            const points = getStatusHistory(apiBaseUrl, '30d');
+            uptimeDisplay.textContent = formatUptime(calculateUptime(points));
+            uptimeDisplay.title = `Based on ${points.length} check${points.length === 1 ? '' : 's'} from this browser`;
         }
         
-        if (uptimeDisplay) uptimeDisplay.textContent = status === 'online' ? '99.9%' : '98.5%';
+        if (widget.querySelector('.detail-content.active[data-tab="history"]')) {
+            drawResponseHistory();
+        }
     }
     
     function updateHealthCheck(element, status, message) {
@@ -294,29 +354,53 @@ function setupEnhancedStatusWidget() {
     
     function drawResponseHistory() {
         const canvas = document.getElementById('response-history');
-        if (!canvas || statusHistory.length < 2) return;
+        const summaryEl = document.getElementById('history-summary');
+        const points = getStatusHistory(apiBaseUrl, historyWindow);
+        const range = STATUS_HISTORY_WINDOWS[historyWindow];
+        
+        if (summaryEl) {
+            summaryEl.textContent = points.length
+                ? `Uptime ${formatUptime(calculateUptime(points))} over the last ${range.label} (${points.length} checks)`
+                : `No checks recorded in the last ${range.label}`;
+        }
+        
+        if (!canvas) return;
         
         const ctx = canvas.getContext('2d');
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         ctx.fillStyle = '#f5f5f5';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
         
+        if (points.length < 2) return;
+        
+        const successful = points.filter(p => p.ok);
+        const maxResponseTime = Math.max(...successful.map(h => h.responseTime), 1);
+        const minResponseTime = Math.min(...successful.map(h => h.responseTime), maxResponseTime);
+        const responseRange = maxResponseTime - minResponseTime || 1;
+        
+        // Plot against time so gaps between visits show as gaps
+        const endTime = Date.now();
+        const startTime = endTime - range.duration;
+        const toX = time => ((time - startTime) / range.duration) * canvas.width;
+        
         ctx.strokeStyle = '#2196f3';
         ctx.lineWidth = 2;
         ctx.beginPath();
         
-        const maxResponseTime = Math.max(...statusHistory.map(h => h.responseTime));
-        const minResponseTime = Math.min(...statusHistory.map(h => h.responseTime));
-        const range = maxResponseTime - minResponseTime || 1;
-        
-        statusHistory.forEach((point, index) => {
-            const x = (index / (statusHistory.length - 1)) * canvas.width;
-            const y = canvas.height - ((point.responseTime - minResponseTime) / range) * canvas.height;
+        successful.forEach((point, index) => {
+            const x = toX(point.time);
+            const y = canvas.height - ((point.responseTime - minResponseTime) / responseRange) * canvas.height;
             if (index === 0) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
         });
         
         ctx.stroke();
+        
+        // Failed checks as red markers along the bottom
+        ctx.fillStyle = '#f44336';
+        points.filter(p => !p.ok).forEach(point => {
+            ctx.fillRect(toX(point.time) - 1, canvas.height - 6, 3, 6);
+        });
     }
     
     function updateLastCheckTime() {
@@ -376,7 +460,7 @@ async function setupSimpleStatusWidget(statusWidget) {
         const indicator = statusWidget.querySelector('.status-indicator');
         if (indicator) indicator.classList.add('online');
         
-        await updateApiCounts();
+        await updateApiCounts(statusWidget);
         
     } catch (error) {
         console.log('API status check failed (likely due to CORS):', error);
@@ -388,14 +472,8 @@ async function setupSimpleStatusWidget(statusWidget) {
 /**
  * Update API record counts (backward compatibility)
  */
-async function updateApiCounts() {
-    const counts = { cases: '96,538+', actors: '18,139+' };
-    
-    const caseCountEl = document.querySelector('[data-api-count="cases"]');
-    const actorCountEl = document.querySelector('[data-api-count="actors"]');
-    
-    if (caseCountEl) caseCountEl.textContent = counts.cases;
-    if (actorCountEl) actorCountEl.textContent = counts.actors;
+async function updateApiCounts(statusWidget) {
+    await updateApiCountElements(document, { baseUrl: getApiBaseUrl(statusWidget) });
 }
 
 /**
@@ -450,12 +528,12 @@ function setupCopyToClipboard() {
 function setupQueryBuilder() {
     const queryBuilders = document.querySelectorAll('.query-builder');
     
-    // Entity configuration with field mappings and common expansions
-    const entityConfig = {
+    // Display names and curated filter examples for the most used entities.
+    // Fields and relations for every entity come from the $metadata model.
+    const entityDescriptions = {
         'Sag': {
+            icon: '📄',
             name: 'Cases',
-            commonFields: ['id', 'titel', 'offentlighedskode', 'opdateringsdato', 'statusid', 'typeid'],
-            commonExpands: ['Sagsstatus', 'Sagstype', 'Sagskategori', 'SagAktør', 'Periode'],
             filterExamples: [
                 'year(opdateringsdato) eq 2025',
                 'offentlighedskode eq \'O\'',
@@ -464,9 +542,8 @@ function setupQueryBuilder() {
             ]
         },
         'Aktør': {
+            icon: '👤',
             name: 'Actors',
-            commonFields: ['id', 'navn', 'typeid', 'opdateringsdato', 'startdato', 'slutdato'],
-            commonExpands: ['Aktørtype', 'Periode', 'SagAktør', 'DokumentAktør'],
             filterExamples: [
                 'typeid eq 5',
                 'substringof(\'minister\', navn)',
@@ -475,9 +552,8 @@ function setupQueryBuilder() {
             ]
         },
         'Afstemning': {
+            icon: '🗳️',
             name: 'Voting Sessions',
-            commonFields: ['id', 'nummer', 'konklusion', 'vedtaget', 'opdateringsdato'],
-            commonExpands: ['Stemme', 'Afstemningstype', 'Møde', 'Sag'],
             filterExamples: [
                 'vedtaget eq true',
                 'year(opdateringsdato) eq 2025',
@@ -485,9 +561,8 @@ function setupQueryBuilder() {
             ]
         },
         'Stemme': {
+            icon: '✅',
             name: 'Individual Votes',
-            commonFields: ['id', 'typeid', 'afstemningid', 'aktørid', 'opdateringsdato'],
-            commonExpands: ['Aktør', 'Afstemning', 'Stemmetype'],
             filterExamples: [
                 'typeid eq 1',
                 'aktørid eq 12345',
@@ -495,40 +570,54 @@ function setupQueryBuilder() {
             ]
         },
         'Dokument': {
+            icon: '📋',
             name: 'Documents',
-            commonFields: ['id', 'titel', 'dokumenttypeid', 'dato', 'opdateringsdato'],
-            commonExpands: ['Dokumenttype', 'DokumentAktør', 'SagDokument', 'Fil'],
             filterExamples: [
-                'dokumenttypeid eq 3',
+                'typeid eq 3',
                 'year(dato) eq 2025',
                 'substringof(\'betænkning\', titel)'
             ]
         },
         'Møde': {
+            icon: '🏛️',
             name: 'Meetings',
-            commonFields: ['id', 'titel', 'dato', 'typeid', 'opdateringsdato'],
-            commonExpands: ['Mødetype', 'Dagsordenspunkt', 'MødeAktør'],
             filterExamples: [
                 'typeid eq 1',
                 'year(dato) eq 2025',
                 'substringof(\'udvalg\', titel)'
             ]
-        }
+        },
+        'SagAktør': { icon: '🔗', name: 'Case-Actor Relations', filterExamples: ['rolleid eq 19'] },
+        'DokumentAktør': { icon: '🔗', name: 'Doc-Actor Relations', filterExamples: ['rolleid eq 1'] },
+        'Sagstrin': { icon: '⚖️', name: 'Case Steps', filterExamples: ['year(dato) eq 2025'] },
+        'Dagsordenspunkt': { icon: '📋', name: 'Agenda Items', filterExamples: ['substringof(\'lov\', titel)'] }
     };
     
-    queryBuilders.forEach(builder => {
+    queryBuilders.forEach(async (builder, builderIndex) => {
         const builderId = `query-builder-${Math.random().toString(36).substr(2, 9)}`;
+        const apiBaseUrl = getApiBaseUrl(builder);
+        const model = await loadOdaMetadata(apiBaseUrl);
+        const entityConfig = buildEntityConfig(model, entityDescriptions);
         
         // Replace placeholder with advanced interactive form
         builder.innerHTML = `
-            <div class="advanced-query-builder" id="${builderId}">
+            <div class="advanced-query-builder" id="${builderId}" data-api-base="${apiBaseUrl}" data-builder-index="${builderIndex}">
                 <h3>🔍 Advanced Query Builder</h3>
                 
+                <!-- Import an existing URL -->
+                <div class="import-url">
+                    <input type="text" class="import-url-input" aria-label="ODA URL to import"
+                           placeholder="Paste an ODA URL to edit it, e.g. https://oda.ft.dk/api/Sag?%24top=5">
+                    <button type="button" class="import-url-btn">↩ Import URL</button>
+                    <small class="import-url-status"></small>
+                </div>
+                
                 <!-- Query Builder Tabs -->
                 <div class="query-tabs">
                     <button type="button" class="tab-btn active" data-tab="basic">Basic</button>
                     <button type="button" class="tab-btn" data-tab="advanced">Advanced</button>
                     <button type="button" class="tab-btn" data-tab="examples">Examples</button>
+                    <button type="button" class="tab-btn" data-tab="library">Library</button>
                 </div>
                 
                 <!-- Basic Tab -->
@@ -537,17 +626,9 @@ function setupQueryBuilder() {
                         <div class="form-group">
                             <label for="${builderId}-entity">Entity:</label>
                             <select id="${builderId}-entity" name="entity" class="entity-select">
-                                <option value="Sag">📄 Sag (Cases) - 96,538+ records</option>
-                                <option value="Aktør">👤 Aktør (Actors) - 18,139+ records</option>
-                                <option value="Afstemning">🗳️ Afstemning (Voting Sessions)</option>
-                                <option value="Stemme">✅ Stemme (Individual Votes)</option>
-                                <option value="Dokument">📋 Dokument (Documents)</option>
-                                <option value="Møde">🏛️ Møde (Meetings)</option>
-                                <option value="SagAktør">🔗 SagAktør (Case-Actor Relations)</option>
-                                <option value="DokumentAktør">🔗 DokumentAktør (Doc-Actor Relations)</option>
-                                <option value="Sagstrin">⚖️ Sagstrin (Case Steps)</option>
-                                <option value="Dagsordenspunkt">📋 Dagsordenspunkt (Agenda Items)</option>
+                                ${renderEntityOptions(entityConfig)}
                             </select>
+                            ${model.source === 'snapshot' ? '<small class="metadata-source">Live $metadata unavailable - using bundled schema snapshot</small>' : ''}
                         </div>
                         
                         <div class="form-row">
@@ -569,27 +650,51 @@ function setupQueryBuilder() {
                             <input type="text" id="${builderId}-filter" name="filter" class="filter-input" 
                                    placeholder="e.g., year(opdateringsdato) eq 2025">
                             <div class="filter-suggestions" style="display: none;"></div>
+                            <div class="filter-validation" style="display: none;"></div>
                         </div>
                         
                         <div class="form-group">
                             <label for="${builderId}-expand">Expand Relations:</label>
                             <input type="text" id="${builderId}-expand" name="expand" class="expand-input"
                                    placeholder="e.g., Sagsstatus,Sagstype">
-                            <div class="expand-suggestions" style="display: none;"></div>
+                            <div class="expand-picker">
+                                <details>
+                                    <summary>Browse relations</summary>
+                                    <div class="expand-tree"></div>
+                                </details>
+                                <div class="expand-issues" style="display: none;"></div>
+                            </div>
                         </div>
                         
                         <div class="form-group">
                             <label for="${builderId}-select">Select Fields (optional):</label>
-                            <input type="text" id="${builderId}-select" name="select" 
+                            <input type="text" id="${builderId}-select" name="select" class="select-input"
                                    placeholder="e.g., id,titel,opdateringsdato">
                             <small>Leave blank to get all fields</small>
+                            <div class="select-picker">
+                                <details>
+                                    <summary>Choose fields</summary>
+                                    <input type="search" class="select-search" placeholder="Find a field">
+                                    <div class="select-groups"></div>
+                                </details>
+                                <div class="select-issues" style="display: none;"></div>
+                                <div class="select-size">
+                                    <span></span>
+                                    <button type="button" class="select-measure-btn" title="Run the query with and without $select and compare">Measure</button>
+                                    <span class="select-measure-result"></span>
+                                </div>
+                            </div>
                         </div>
                         
                         <div class="form-group">
                             <label for="${builderId}-orderby">Order By:</label>
-                            <input type="text" id="${builderId}-orderby" name="orderby" 
+                            <input type="text" id="${builderId}-orderby" name="orderby" class="orderby-input"
                                    placeholder="e.g., opdateringsdato desc">
-                            <small>Add 'desc' for descending order</small>
+                            <small>Add 'desc' for descending order, or build the order below</small>
+                            <div class="orderby-builder">
+                                <ol class="orderby-columns"></ol>
+                                <button type="button" class="orderby-add-btn">+ Sort column</button>
+                            </div>
                         </div>
                         
                         <div class="form-group">
@@ -607,7 +712,7 @@ function setupQueryBuilder() {
                     <div class="advanced-controls">
                         <h4>🔧 Advanced Features</h4>
                         
-                        <div class="feature-group">
+                        <div class="feature-group filter-composer">
                             <h5>Filter Builder</h5>
                             <div class="filter-builder">
                                 <select class="filter-field">
@@ -625,7 +730,9 @@ function setupQueryBuilder() {
                                     <option value="endswith">ends with (endswith)</option>
                                 </select>
                                 <input type="text" class="filter-value" placeholder="Value">
+                                <select class="filter-value-select" style="display: none;"></select>
                                 <button type="button" class="add-filter-btn">Add Filter</button>
+                                <div class="filter-date" style="display: none;"></div>
                             </div>
                             <div class="active-filters"></div>
                         </div>
@@ -658,6 +765,38 @@ function setupQueryBuilder() {
                     </div>
                 </div>
                 
+                <!-- Library Tab -->
+                <div class="tab-content" data-tab="library">
+                    <div class="query-library">
+                        <h4>📂 Query Library</h4>
+                        <div class="library-save">
+                            <input type="text" class="library-name" placeholder="Name this query">
+                            <input type="text" class="library-tags" placeholder="Tags, e.g. votes 2025">
+                            <button type="button" class="library-save-btn">⭐ Save current query</button>
+                        </div>
+                        <div class="library-search">
+                            <input type="search" class="library-search-input" placeholder="Search names, entities, URLs or #tags">
+                            <label><input type="checkbox" class="library-starred-only"> Starred only</label>
+                        </div>
+                        <h5>Saved queries</h5>
+                        <div class="library-list library-saved"></div>
+                        <h5>History <button type="button" class="library-clear-btn">Clear</button></h5>
+                        <div class="library-list library-history"></div>
+                        <div class="library-files">
+                            <button type="button" class="library-export-btn">⬇️ Export JSON</button>
+                            <button type="button" class="library-import-btn">⬆️ Import JSON</button>
+                            <input type="file" class="library-import-input" accept=".json,application/json" hidden>
+                            <span class="library-status"></span>
+                        </div>
+                        <div class="library-files library-client-export">
+                            <span>Export for API clients:</span>
+                            ${Object.entries(QUERY_EXPORT_FORMATS).map(([id, format]) => `
+                                <button type="button" class="library-client-btn" data-format="${id}">${format.label}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+                
                 <!-- Query Output -->
                 <div class="query-output">
                     <div class="output-header">
@@ -665,6 +804,8 @@ function setupQueryBuilder() {
                         <div class="output-controls">
                             <button type="button" class="copy-url-btn">📋 Copy</button>
                             <button type="button" class="test-url-btn">🧪 Test</button>
+                            <button type="button" class="fetch-all-btn" title="Fetch every page of this query">📥 Fetch All</button>
+                            <button type="button" class="code-gen-btn" title="Generate code for this query">💻 Code</button>
                             <button type="button" class="share-url-btn">🔗 Share</button>
                         </div>
                     </div>
@@ -674,6 +815,23 @@ function setupQueryBuilder() {
                     <div class="query-info">
                         <small class="query-stats">Query ready to execute</small>
                     </div>
+                    <div class="query-lint" style="display: none;"></div>
+                </div>
+                
+                <!-- Generated Code -->
+                <div class="code-generator" style="display: none;">
+                    <h4>💻 Generate Code</h4>
+                    <div class="code-generator-controls">
+                        <div class="code-languages">
+                            ${Object.entries(CODE_SNIPPET_LANGUAGES).map(([id, label]) => `
+                                <button type="button" class="code-language-btn" data-language="${id}">${label}</button>
+                            `).join('')}
+                        </div>
+                        <label><input type="checkbox" class="code-paginate"> Fetch all pages</label>
+                        <label><input type="checkbox" class="code-errors" checked> Error handling</label>
+                        <button type="button" class="copy-code-btn">📋 Copy</button>
+                    </div>
+                    <pre class="code-output"><code></code></pre>
                 </div>
                 
                 <!-- Test Results -->
@@ -681,6 +839,12 @@ function setupQueryBuilder() {
                     <h4>🧪 Test Results</h4>
                     <div class="results-content"></div>
                 </div>
+                
+                <!-- Fetch All Pages -->
+                <div class="bulk-fetch" style="display: none;">
+                    <h4>📥 Fetch All Pages</h4>
+                    <div class="bulk-fetch-content"></div>
+                </div>
             </div>
         `;
         
@@ -689,6 +853,54 @@ function setupQueryBuilder() {
     });
 }
 
+/**
+ * Build per-entity builder configuration from the $metadata model
+ */
+function buildEntityConfig(model, entityDescriptions) {
+    const entityConfig = {};
+    
+    // Described entities first, in the order they are described
+    const entitySets = [
+        ...Object.keys(entityDescriptions).map(name => model.entitySets[name]).filter(Boolean),
+        ...Object.values(model.entitySets).filter(entitySet => !entityDescriptions[entitySet.name])
+    ];
+    
+    entitySets.forEach(entitySet => {
+        const description = entityDescriptions[entitySet.name] || {};
+        entityConfig[entitySet.name] = {
+            name: description.name || entitySet.name,
+            icon: description.icon || '',
+            featured: Boolean(entityDescriptions[entitySet.name]),
+            filterExamples: description.filterExamples || [],
+            key: entitySet.key,
+            properties: entitySet.properties,
+            navigationProperties: entitySet.navigationProperties,
+            fields: entitySet.properties.map(property => property.name),
+            expands: entitySet.navigationProperties.map(nav => nav.name)
+        };
+    });
+    
+    return entityConfig;
+}
+
+/**
+ * Render entity <option>s: described entities first, then all others
+ */
+function renderEntityOptions(entityConfig) {
+    const entities = Object.keys(entityConfig);
+    const featured = entities.filter(entity => entityConfig[entity].featured);
+    const others = entities.filter(entity => !entityConfig[entity].featured).sort((a, b) => a.localeCompare(b, 'da'));
+    
+    return `
+        <optgroup label="Common entities">
+            ${featured.map(entity => `<option value="${entity}" data-count>${entityConfig[entity].icon} ${entity} (${entityConfig[entity].name})</option>`).join('')}
+        </optgroup>
+        <optgroup label="All entities">
+            ${others.map(entity => `<option value="${entity}">${entity}</option>`).join('')}
+        </optgroup>
+    `;
+}
+
 /**
  * Initialize advanced query builder functionality
  */
@@ -727,16 +939,113 @@ function initializeAdvancedQueryBuilder(builderId, entityConfig) {
         });
     });
     
+    // Filter composer, kept in sync with the Basic tab's filter input.
+    // Code fields (statusid, typeid) get a dropdown of names, and ID
+    // fields (aktørid, sagid) a search of the records they point at.
+    const filterInput = builderEl.querySelector('.filter-input');
+    const getCodeLookupName = field => getCodeFields(entitySelect.value, entityConfig)[field];
+    const getReferencedEntity = field => getRecordReferenceFields(entitySelect.value, entityConfig)[field];
+    let syncingFilter = false;
+    const filterComposer = createFilterComposer(builderEl.querySelector('.filter-composer'), {
+        getProperties: () => (entityConfig[entitySelect.value] || {}).properties || [],
+        getValueOptions: field => {
+            const lookupName = getCodeLookupName(field);
+            if (!lookupName) return null;
+            return loadCodeLookup(lookupName, { baseUrl: getApiBaseUrl(builderEl), entitySets: entityConfig }).then(getCodeLookupOptions);
+        },
+        describeValue: (field, value) => {
+            const lookupName = getCodeLookupName(field);
+            const referenced = getReferencedEntity(field);
+            if (referenced) return getCachedRecordLabel(referenced, value, getApiBaseUrl(builderEl));
+            const labels = lookupName ? getCachedCodeLookup(lookupName, getApiBaseUrl(builderEl)) : null;
+            return labels && labels[value] !== undefined ? labels[value] : null;
+        },
+        getValueHint: field => (getReferencedEntity(field) ? `Search ${getReferencedEntity(field)} by name, or type an id` : null),
+        searchValues: (field, term, options) => {
+            const referenced = getReferencedEntity(field);
+            return referenced ? searchRecords(referenced, term, { ...options, baseUrl: getApiBaseUrl(builderEl) }) : null;
+        },
+        onChange: filter => {
+            syncingFilter = true;
+            filterInput.value = filter;
+            filterInput.dispatchEvent(new Event('input', { bubbles: true }));
+            syncingFilter = false;
+        }
+    });
+    
+    filterInput.addEventListener('input', () => {
+        if (!syncingFilter) filterComposer.setFilter(filterInput.value);
+    });
+    builderFilterComposers.set(builderEl, filterComposer);
+    
+    // Load the entity's code names so the chips can show them
+    const loadChipCodeNames = () => {
+        loadCodeLabeller(entitySelect.value, '', entityConfig, getApiBaseUrl(builderEl)).then(() => filterComposer.refresh());
+    };
+    
+    // $expand tree picker, kept in sync with the expand input
+    const expandInput = builderEl.querySelector('.expand-input');
+    let syncingExpand = false;
+    const expandPicker = createExpandPicker(builderEl.querySelector('.expand-picker'), {
+        getEntity: () => entitySelect.value,
+        getEntitySets: () => entityConfig,
+        onChange: expand => {
+            syncingExpand = true;
+            expandInput.value = expand;
+            expandInput.dispatchEvent(new Event('input', { bubbles: true }));
+            syncingExpand = false;
+        }
+    });
+    
+    // $select field picker, kept in sync with the select input and $expand
+    const selectInput = builderEl.querySelector('.select-input');
+    let syncingSelect = false;
+    const selectPicker = createSelectPicker(builderEl.querySelector('.select-picker'), {
+        getEntity: () => entitySelect.value,
+        getEntitySets: () => entityConfig,
+        getExpand: () => expandInput.value,
+        getUrl: () => urlOutput.textContent,
+        onChange: select => {
+            syncingSelect = true;
+            selectInput.value = select;
+            selectInput.dispatchEvent(new Event('input', { bubbles: true }));
+            syncingSelect = false;
+        }
+    });
+    
+    // $orderby column editor, kept in sync with the orderby input
+    const orderbyInput = builderEl.querySelector('.orderby-input');
+    let syncingOrderBy = false;
+    const orderByBuilder = createOrderByBuilder(builderEl.querySelector('.orderby-builder'), {
+        getProperties: () => (entityConfig[entitySelect.value] || {}).properties || [],
+        onChange: orderby => {
+            syncingOrderBy = true;
+            orderbyInput.value = orderby;
+            orderbyInput.dispatchEvent(new Event('input', { bubbles: true }));
+            syncingOrderBy = false;
+        }
+    });
+    
     // Entity change handler
     entitySelect.addEventListener('change', (e) => {
         const entity = e.target.value;
         updateFieldSuggestions(builderEl, entity, entityConfig);
+        filterComposer.refresh();
+        expandPicker.refresh();
+        selectPicker.refresh();
+        orderByBuilder.refresh();
+        loadChipCodeNames();
         updateQuery(builderEl, entityConfig);
+        updateFilterValidation(builderEl, entityConfig);
     });
     
     // Form change handler
     form.addEventListener('input', () => {
+        if (!syncingExpand) expandPicker.setExpand(expandInput.value);
+        if (!syncingSelect) selectPicker.setSelect(selectInput.value);
+        if (!syncingOrderBy) orderByBuilder.setOrderBy(orderbyInput.value);
         updateQuery(builderEl, entityConfig);
+        updateFilterValidation(builderEl, entityConfig);
     });
     
     form.addEventListener('submit', (e) => {
@@ -744,6 +1053,20 @@ function initializeAdvancedQueryBuilder(builderId, entityConfig) {
         updateQuery(builderEl, entityConfig);
     });
     
+    // Import URL functionality
+    const importInput = builderEl.querySelector('.import-url-input');
+    const importUrl = () => {
+        if (!importInput.value.trim()) return;
+        if (loadUrlIntoBuilder(builderEl, importInput.value, entityConfig)) importInput.value = '';
+    };
+    builderEl.querySelector('.import-url-btn').addEventListener('click', importUrl);
+    importInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            importUrl();
+        }
+    });
+    
     // Copy URL functionality
     const copyBtn = builderEl.querySelector('.copy-url-btn');
     copyBtn.addEventListener('click', async () => {
@@ -759,13 +1082,58 @@ function initializeAdvancedQueryBuilder(builderId, entityConfig) {
     // Test URL functionality
     const testBtn = builderEl.querySelector('.test-url-btn');
     testBtn.addEventListener('click', () => {
-        testApiQuery(builderEl, urlOutput.textContent);
+        const issues = updateFilterValidation(builderEl, entityConfig);
+        const run = () => {
+            recordBuilderHistory(builderEl, { tested: true });
+            testApiQuery(builderEl, urlOutput.textContent, entityConfig);
+        };
+        if (issues.length) {
+            confirmFilterIssues(builderEl, issues, run);
+        } else {
+            run();
+        }
+    });
+    
+    // Fetch all pages functionality
+    const fetchAllBtn = builderEl.querySelector('.fetch-all-btn');
+    fetchAllBtn.addEventListener('click', () => {
+        fetchAllPages(builderEl, urlOutput.textContent);
+    });
+    
+    // Code generation panel
+    const codeBtn = builderEl.querySelector('.code-gen-btn');
+    const codePanel = builderEl.querySelector('.code-generator');
+    codeBtn.addEventListener('click', () => {
+        codePanel.style.display = codePanel.style.display === 'none' ? 'block' : 'none';
+        updateCodeSnippet(builderEl);
+    });
+    codePanel.querySelectorAll('.code-language-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setPreferredCodeLanguage(btn.dataset.language);
+            updateCodeSnippet(builderEl);
+        });
+    });
+    codePanel.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        input.addEventListener('change', () => updateCodeSnippet(builderEl));
+    });
+    const copyCodeBtn = codePanel.querySelector('.copy-code-btn');
+    copyCodeBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(codePanel.querySelector('.code-output code').textContent);
+            copyCodeBtn.textContent = '✅ Copied!';
+            setTimeout(() => copyCodeBtn.textContent = '📋 Copy', 2000);
+        } catch (err) {
+            console.error('Failed to copy code:', err);
+        }
     });
     
-    // Share URL functionality
+    // Share a link that reopens this builder as it is now
+    const builderIndex = parseInt(builderEl.dataset.builderIndex, 10) || 0;
     const shareBtn = builderEl.querySelector('.share-url-btn');
     shareBtn.addEventListener('click', () => {
-        shareQuery(urlOutput.textContent);
+        const permalink = getBuilderPermalink(builderIndex, getBuilderState(builderEl, filterComposer));
+        history.replaceState(null, '', permalink);
+        shareQuery(permalink);
     });
     
     // Quick filter handlers
@@ -777,8 +1145,24 @@ function initializeAdvancedQueryBuilder(builderId, entityConfig) {
     });
     
     // Initialize with default values
-    updateFieldSuggestions(builderEl, 'Sag', entityConfig);
+    updateFieldSuggestions(builderEl, entitySelect.value, entityConfig);
     updateQuery(builderEl, entityConfig);
+    
+    // Reopen a shared builder link
+    const sharedState = readBuilderStateFromLocation(builderIndex);
+    if (sharedState) {
+        applyBuilderState(builderEl, sharedState, entityConfig, filterComposer);
+    }
+    
+    // Saved queries and history; the query the page opened with isn't history
+    setupQueryLibrary(builderEl, entityConfig, filterComposer);
+    clearTimeout(builderHistoryTimers.get(builderEl));
+    builderHistoryUrls.set(builderEl, urlOutput.textContent);
+    
+    loadChipCodeNames();
+    
+    // Show live record counts in the entity labels
+    updateEntityOptionCounts(entitySelect, { baseUrl: getApiBaseUrl(builderEl) });
 }
 
 /**
@@ -799,7 +1183,7 @@ function updateQuery(builderEl, entityConfig) {
     const orderby = formData.get('orderby');
     const inlinecount = formData.get('inlinecount');
     
-    let url = `${API_BASE_URL}/${entity}?%24top=${top}`;
+    let url = `${getApiBaseUrl(builderEl)}/${entity}?%24top=${top}`;
     
     if (skip && skip !== '0') {
         url += `&%24skip=${skip}`;
@@ -841,6 +1225,402 @@ function updateQuery(builderEl, entityConfig) {
         const skipCount = parseInt(skip);
         statsEl.textContent = `Will return up to ${recordLimit} ${entityInfo.name.toLowerCase()}, starting from record ${skipCount + 1}`;
     }
+    
+    updateQueryLint(builderEl);
+    updateCodeSnippet(builderEl);
+    
+    // Record the query in the history once the user stops editing
+    clearTimeout(builderHistoryTimers.get(builderEl));
+    builderHistoryTimers.set(builderEl, setTimeout(() => recordBuilderHistory(builderEl), QUERY_HISTORY_DELAY));
+}
+
+/**
+ * Regenerate the code snippet for the current query while the panel is open
+ */
+function updateCodeSnippet(builderEl) {
+    const panel = builderEl.querySelector('.code-generator');
+    if (panel.style.display === 'none') return;
+    
+    const language = getPreferredCodeLanguage();
+    panel.querySelectorAll('.code-language-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.language === language);
+    });
+    
+    const code = generateCodeSnippet(language, {
+        baseUrl: getApiBaseUrl(builderEl),
+        entity: builderEl.querySelector('.entity-select').value,
+        params: getUrlParameters(builderEl.querySelector('.api-endpoint').textContent)
+    }, {
+        paginate: panel.querySelector('.code-paginate').checked,
+        errors: panel.querySelector('.code-errors').checked
+    });
+    panel.querySelector('.code-output code').textContent = code;
+}
+
+/**
+ * Lint the generated URL and list warnings, with fixes where a rule has one
+ */
+function updateQueryLint(builderEl) {
+    const lintEl = builderEl.querySelector('.query-lint');
+    const params = getUrlParameters(builderEl.querySelector('.api-endpoint').textContent);
+    const warnings = lintQuery(params);
+    
+    lintEl.style.display = warnings.length ? 'block' : 'none';
+    lintEl.innerHTML = warnings.map((warning, index) => `
+        <div class="lint-item lint-${warning.severity}">
+            <span class="lint-severity">${warning.severity}</span>
+            <span class="lint-message">${escapeHtml(warning.message)}</span>
+            <a href="${getDocsUrl(warning.docs)}" class="lint-docs">Docs</a>
+            ${warning.fix ? `<button type="button" class="lint-fix-btn" data-warning="${index}">Fix</button>` : ''}
+        </div>
+    `).join('');
+    
+    lintEl.querySelectorAll('.lint-fix-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setBuilderParameters(builderEl, warnings[btn.dataset.warning].fix(params));
+        });
+    });
+}
+
+// Per-builder history bookkeeping: the filter composer (part of the
+// state), the pending debounce and the last URL recorded
+const builderFilterComposers = new WeakMap();
+const builderHistoryTimers = new WeakMap();
+const builderHistoryUrls = new WeakMap();
+const QUERY_HISTORY_DELAY = 1500;
+
+/**
+ * Add the builder's current query to the history
+ *
+ * Edits are recorded once per distinct URL; test runs always are.
+ */
+function recordBuilderHistory(builderEl, { tested = false } = {}) {
+    const filterComposer = builderFilterComposers.get(builderEl);
+    const url = builderEl.querySelector('.api-endpoint').textContent;
+    if (!filterComposer || (!tested && builderHistoryUrls.get(builderEl) === url)) return;
+    
+    clearTimeout(builderHistoryTimers.get(builderEl));
+    builderHistoryUrls.set(builderEl, url);
+    recordQueryHistory(getLibraryState(builderEl, filterComposer), url, { tested });
+}
+
+/**
+ * Builder state for the library; queries reopen on the tab they were
+ * built on, never the library itself
+ */
+function getLibraryState(builderEl, filterComposer) {
+    const state = getBuilderState(builderEl, filterComposer);
+    return { ...state, tab: state.tab === 'library' ? 'basic' : state.tab };
+}
+
+/**
+ * Wire up the Library tab: saving, searching, reopening, editing and
+ * JSON import/export
+ */
+function setupQueryLibrary(builderEl, entityConfig, filterComposer) {
+    const libraryEl = builderEl.querySelector('.query-library');
+    const nameInput = libraryEl.querySelector('.library-name');
+    const tagsInput = libraryEl.querySelector('.library-tags');
+    const searchInput = libraryEl.querySelector('.library-search-input');
+    const starredOnly = libraryEl.querySelector('.library-starred-only');
+    const importInput = libraryEl.querySelector('.library-import-input');
+    const statusEl = libraryEl.querySelector('.library-status');
+    let editingId = null;
+    
+    const render = () => renderQueryLibrary(libraryEl, {
+        search: searchInput.value,
+        starredOnly: starredOnly.checked,
+        editingId
+    });
+    const showStatus = (message, isError = false) => {
+        statusEl.className = `library-status${isError ? ' error' : ''}`;
+        statusEl.textContent = message;
+    };
+    const findEntry = id => {
+        const library = readQueryLibrary();
+        return [...library.saved, ...library.history].find(entry => entry.id === id);
+    };
+    
+    libraryEl.querySelector('.library-save-btn').addEventListener('click', () => {
+        saveQuery(getLibraryState(builderEl, filterComposer), builderEl.querySelector('.api-endpoint').textContent, {
+            name: nameInput.value,
+            tags: parseQueryTags(tagsInput.value)
+        });
+        nameInput.value = '';
+        tagsInput.value = '';
+        showStatus('Query saved');
+    });
+    
+    searchInput.addEventListener('input', render);
+    starredOnly.addEventListener('change', render);
+    
+    libraryEl.querySelector('.library-clear-btn').addEventListener('click', clearQueryHistory);
+    
+    libraryEl.querySelector('.library-export-btn').addEventListener('click', () => {
+        const saved = readQueryLibrary().saved;
+        if (!saved.length) {
+            showStatus('Save some queries first', true);
+            return;
+        }
+        downloadTextFile(exportQueryLibrary(saved), `oda-queries-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+        showStatus(`Exported ${saved.length} quer${saved.length === 1 ? 'y' : 'ies'}`);
+    });
+    
+    // API client exports take the saved queries shown, or the current query
+    libraryEl.querySelectorAll('.library-client-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const format = QUERY_EXPORT_FORMATS[btn.dataset.format];
+            let queries = searchQueries(readQueryLibrary().saved, searchInput.value, { starredOnly: starredOnly.checked });
+            if (!queries.length) {
+                queries = [{
+                    name: `${builderEl.querySelector('.entity-select').value} query`,
+                    url: builderEl.querySelector('.api-endpoint').textContent
+                }];
+            }
+            downloadTextFile(format.build(queries), format.filename, format.mimeType);
+            showStatus(`Exported ${queries.length} quer${queries.length === 1 ? 'y' : 'ies'} for ${format.label}`);
+        });
+    });
+    
+    libraryEl.querySelector('.library-import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+            const result = importQueryLibrary(await file.text());
+            showStatus(`Imported ${result.added} new, ${result.updated} updated${result.skipped ? `, ${result.skipped} unreadable skipped` : ''}`);
+        } catch (error) {
+            showStatus(error.message, true);
+        }
+        importInput.value = '';
+    });
+    
+    libraryEl.addEventListener('click', e => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        const id = btn.closest('.library-item').dataset.id;
+        const entry = findEntry(id);
+        if (!entry) return;
+        
+        switch (btn.dataset.action) {
+            case 'open':
+                try {
+                    applyBuilderState(builderEl, decodeBuilderState(entry.state), entityConfig, filterComposer);
+                } catch (error) {
+                    showStatus(error.message, true);
+                }
+                break;
+            case 'save':
+                try {
+                    editingId = saveQuery(decodeBuilderState(entry.state), entry.url).id;
+                    render();
+                } catch (error) {
+                    showStatus(error.message, true);
+                }
+                break;
+            case 'star':
+                updateSavedQuery(id, { starred: !entry.starred });
+                break;
+            case 'edit':
+                editingId = id;
+                render();
+                break;
+            case 'edit-save': {
+                const item = btn.closest('.library-item');
+                editingId = null;
+                updateSavedQuery(id, {
+                    name: item.querySelector('.library-edit-name').value.trim() || entry.name,
+                    tags: parseQueryTags(item.querySelector('.library-edit-tags').value)
+                });
+                break;
+            }
+            case 'edit-cancel':
+                editingId = null;
+                render();
+                break;
+            case 'delete':
+                removeSavedQuery(id);
+                break;
+        }
+    });
+    
+    // Redraw when this or another builder (or another tab) changes the library
+    document.addEventListener('oda-query-library-change', render);
+    window.addEventListener('storage', e => {
+        if (e.key === QUERY_LIBRARY_STORAGE_KEY) render();
+    });
+    
+    render();
+}
+
+/**
+ * Draw the saved queries and history matching the search
+ */
+function renderQueryLibrary(libraryEl, { search, starredOnly, editingId }) {
+    const library = readQueryLibrary();
+    const saved = searchQueries(library.saved, search, { starredOnly });
+    const history = starredOnly ? [] : searchQueries(library.history, search);
+    
+    const renderItem = (entry, isSaved) => {
+        const editing = isSaved && entry.id === editingId;
+        const when = new Date(entry.updatedAt).toLocaleString();
+        
+        return `
+            <div class="library-item" data-id="${escapeHtml(entry.id)}">
+                ${isSaved ? `<button type="button" class="library-star${entry.starred ? ' starred' : ''}" data-action="star" title="${entry.starred ? 'Unstar' : 'Star'}">${entry.starred ? '★' : '☆'}</button>` : ''}
+                <div class="library-item-main">
+                    ${editing ? `
+                        <input type="text" class="library-edit-name" value="${escapeHtml(entry.name)}">
+                        <input type="text" class="library-edit-tags" value="${escapeHtml((entry.tags || []).join(', '))}" placeholder="Tags">
+                    ` : `
+                        <div>
+                            ${isSaved ? `<strong>${escapeHtml(entry.name)}</strong>` : `<small>${escapeHtml(when)}${entry.runs ? ` · tested ${entry.runs}×` : ''}</small>`}
+                            ${(entry.tags || []).map(tag => `<span class="library-tag">#${escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    `}
+                    <code class="library-item-url">${escapeHtml(entry.url)}</code>
+                </div>
+                <div class="library-item-actions">
+                    ${editing ? `
+                        <button type="button" data-action="edit-save">Save</button>
+                        <button type="button" data-action="edit-cancel">Cancel</button>
+                    ` : `
+                        <button type="button" data-action="open">Open</button>
+                        ${isSaved ? `
+                            <button type="button" data-action="edit">Edit</button>
+                            <button type="button" data-action="delete">Delete</button>
+                        ` : '<button type="button" data-action="save">Save</button>'}
+                    `}
+                </div>
+            </div>
+        `;
+    };
+    
+    libraryEl.querySelector('.library-saved').innerHTML = saved.length
+        ? saved.map(entry => renderItem(entry, true)).join('')
+        : `<p class="library-empty">${library.saved.length ? 'No saved queries match.' : 'No saved queries yet.'}</p>`;
+    libraryEl.querySelector('.library-history').innerHTML = history.length
+        ? history.map(entry => renderItem(entry, false)).join('')
+        : `<p class="library-empty">${library.history.length ? 'No history matches.' : 'Queries you build and test appear here.'}</p>`;
+}
+
+/**
+ * Collect everything needed to reopen the builder as it is now
+ */
+function getBuilderState(builderEl, filterComposer) {
+    const form = builderEl.querySelector('.query-form');
+    const formatRadio = builderEl.querySelector('input[name="format"]:checked');
+    
+    return {
+        tab: builderEl.querySelector('.tab-btn.active').dataset.tab,
+        entity: form.elements.entity.value,
+        top: form.elements.top.value,
+        skip: form.elements.skip.value,
+        filter: form.elements.filter.value,
+        expand: form.elements.expand.value,
+        select: form.elements.select.value,
+        orderby: form.elements.orderby.value,
+        inlinecount: form.elements.inlinecount.checked,
+        format: formatRadio ? formatRadio.value : 'json',
+        chips: filterComposer.getTree()
+    };
+}
+
+/**
+ * Restore builder state from a shared link
+ */
+function applyBuilderState(builderEl, state, entityConfig, filterComposer) {
+    const entitySelect = builderEl.querySelector('.entity-select');
+    if (entityConfig[state.entity] && entitySelect.value !== state.entity) {
+        entitySelect.value = state.entity;
+        entitySelect.dispatchEvent(new Event('change'));
+    }
+    
+    setBuilderParameters(builderEl, {
+        $top: state.top,
+        $skip: state.skip,
+        $filter: state.filter,
+        $expand: state.expand,
+        $select: state.select,
+        $orderby: state.orderby,
+        $inlinecount: state.inlinecount ? 'allpages' : undefined,
+        $format: state.format
+    });
+    
+    // The chips keep their grouping, as long as they still match the filter
+    if (state.chips) {
+        try {
+            if (serializeFilterTree(state.chips, entityConfig[entitySelect.value].properties) === state.filter) {
+                filterComposer.setTree(state.chips);
+            }
+        } catch (error) {
+            // Keep the chips parsed from the filter text
+        }
+    }
+    
+    builderEl.querySelector(`.tab-btn[data-tab="${state.tab}"]`).click();
+}
+
+/**
+ * Load an ODA URL into the builder form
+ *
+ * Returns whether the URL could be loaded; the outcome is shown next to
+ * the import field.
+ */
+function loadUrlIntoBuilder(builderEl, url, entityConfig) {
+    const statusEl = builderEl.querySelector('.import-url-status');
+    const entitySelect = builderEl.querySelector('.entity-select');
+    
+    let parsed;
+    try {
+        parsed = parseOdaUrl(url);
+    } catch (error) {
+        statusEl.className = 'import-url-status error';
+        statusEl.textContent = error.message;
+        return false;
+    }
+    
+    // Entity names are case-sensitive in the API, but be forgiving on import
+    const entity = entityConfig[parsed.entity] ? parsed.entity
+        : Object.keys(entityConfig).find(name => name.toLowerCase() === parsed.entity.toLowerCase());
+    if (!entity) {
+        statusEl.className = 'import-url-status error';
+        statusEl.textContent = `Unknown entity "${parsed.entity}"`;
+        return false;
+    }
+    
+    if (entitySelect.value !== entity) {
+        entitySelect.value = entity;
+        entitySelect.dispatchEvent(new Event('change'));
+    }
+    setBuilderParameters(builderEl, parsed.params);
+    
+    const notes = [];
+    if (parsed.key !== null) notes.push(`the key (${parsed.key}) was dropped`);
+    if (parsed.unsupported.length) notes.push(`${parsed.unsupported.join(', ')} can't be edited here and ${parsed.unsupported.length === 1 ? 'was' : 'were'} dropped`);
+    if (parsed.malformed.length) notes.push(`${parsed.malformed.join(', ')} couldn't be decoded and ${parsed.malformed.length === 1 ? 'was' : 'were'} dropped (encode a literal % as %25)`);
+    statusEl.className = `import-url-status${notes.length ? ' warning' : ''}`;
+    statusEl.textContent = notes.length ? `Imported ${entity}, but ${notes.join('; ')}` : `Imported ${entity} query`;
+    return true;
+}
+
+/**
+ * Fill the builder form from decoded query parameters and rebuild the URL
+ */
+function setBuilderParameters(builderEl, params) {
+    const form = builderEl.querySelector('.query-form');
+    ['skip', 'filter', 'expand', 'select', 'orderby'].forEach(name => {
+        form.elements[name].value = params[`$${name}`] || '';
+    });
+    // ODA returns 100 rows when no $top is given
+    form.elements.top.value = params.$top || '100';
+    form.elements.inlinecount.checked = params.$inlinecount === 'allpages';
+    
+    const format = builderEl.querySelector(`input[name="format"][value="${params.$format === 'xml' ? 'xml' : 'json'}"]`);
+    if (format) format.checked = true;
+    
+    // Bubbles to the form, which rebuilds the URL; the filter composer follows the input
+    form.elements.filter.dispatchEvent(new Event('input', { bubbles: true }));
 }
 
 /**
@@ -860,16 +1640,20 @@ function updateFieldSuggestions(builderEl, entity, entityConfig) {
     }
     
     if (expandInput) {
-        expandInput.placeholder = config.commonExpands.join(',');
+        expandInput.placeholder = config.expands.length ? config.expands.slice(0, 3).join(',') : 'No relations to expand';
     }
     
     // Update filter field options
     if (filterField) {
+        const codeFields = getCodeFields(entity, entityConfig);
+        const referenceFields = getRecordReferenceFields(entity, entityConfig);
         filterField.innerHTML = '<option value="">Select field...</option>';
-        config.commonFields.forEach(field => {
+        config.properties.forEach(property => {
             const option = document.createElement('option');
-            option.value = field;
-            option.textContent = field;
+            option.value = property.name;
+            option.textContent = codeFields[property.name] ? `${property.name} (${codeFields[property.name]} code)`
+                : referenceFields[property.name] ? `${property.name} (${referenceFields[property.name]} id, searchable)`
+                : `${property.name} (${property.type})`;
             filterField.appendChild(option);
         });
     }
@@ -888,24 +1672,27 @@ function loadExamples(builderEl, entityConfig) {
     
     if (!config) return;
     
+    const apiBaseUrl = getApiBaseUrl(builderEl);
+    
     const examples = {
         'Basic Queries': [
             {
                 title: `Get recent ${config.name.toLowerCase()}`,
-                query: `${API_BASE_URL}/${currentEntity}?%24top=10&%24orderby=opdateringsdato%20desc`
+                query: `${apiBaseUrl}/${currentEntity}?%24top=10&%24orderby=opdateringsdato%20desc`
             },
             {
                 title: `Get specific ${config.name.toLowerCase().slice(0, -1)} by ID`,
-                query: `${API_BASE_URL}/${currentEntity}?%24filter=id%20eq%201&%24top=1`
+                query: `${apiBaseUrl}/${currentEntity}?%24filter=id%20eq%201&%24top=1`
             }
         ],
         'Filtered Queries': config.filterExamples.map((example, idx) => ({
             title: `Filter example ${idx + 1}`,
-            query: `${API_BASE_URL}/${currentEntity}?%24filter=${encodeURIComponent(example)}&%24top=5`
+            query: `${apiBaseUrl}/${currentEntity}?%24filter=${encodeURIComponent(example)}&%24top=5`,
+            filter: example
         })),
-        'Expanded Queries': config.commonExpands.slice(0, 2).map((expand) => ({
+        'Expanded Queries': config.expands.slice(0, 2).map((expand) => ({
             title: `Get ${config.name.toLowerCase()} with ${expand}`,
-            query: `${API_BASE_URL}/${currentEntity}?%24expand=${expand}&%24top=5`
+            query: `${apiBaseUrl}/${currentEntity}?%24expand=${expand}&%24top=5`
         }))
     };
     
@@ -919,6 +1706,7 @@ function loadExamples(builderEl, entityConfig) {
             ${exampleList.map(example => `
                 <div class="example-item">
                     <h6>${example.title}</h6>
+                    ${example.filter ? `<p class="example-codes" data-filter="${escapeHtml(example.filter)}"></p>` : ''}
                     <code class="example-query">${example.query}</code>
                     <button type="button" class="use-example-btn" data-query="${encodeURIComponent(example.query)}">Use This</button>
                 </div>
@@ -931,59 +1719,404 @@ function loadExamples(builderEl, entityConfig) {
     exampleContainer.querySelectorAll('.use-example-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             const query = decodeURIComponent(btn.dataset.query);
-            builderEl.querySelector('.api-endpoint').textContent = query;
+            if (loadUrlIntoBuilder(builderEl, query, entityConfig)) {
+                builderEl.querySelector('.tab-btn[data-tab="basic"]').click();
+            }
+        });
+    });
+    
+    // Say what codes like `statusid eq 10` stand for
+    loadCodeLabeller(currentEntity, '', entityConfig, apiBaseUrl).then(() => {
+        if (entitySelect.value !== currentEntity) return;
+        exampleContainer.querySelectorAll('.example-codes').forEach(el => {
+            el.textContent = describeFilterCodes(el.dataset.filter, currentEntity, entityConfig, apiBaseUrl)
+                .map(code => `${code.field} ${code.value} = ${code.label}`)
+                .join(', ');
         });
     });
 }
 
 /**
- * Apply quick filters
+ * Check the filter input against the selected entity and show any problems
+ *
+ * Unknown fields are the dangerous case: ODA ignores the whole filter and
+ * returns unfiltered data. Returns the issues found.
  */
-function applyQuickFilter(builderEl, filterType) {
-    const filterInput = builderEl.querySelector('#' + builderEl.id.split('query-builder-')[1] + '-filter');
-    if (!filterInput) return;
-    
-    const today = new Date();
-    const currentYear = today.getFullYear();
-    const sevenDaysAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-    
-    let filterValue = '';
+function updateFilterValidation(builderEl, entityConfig) {
+    const filterInput = builderEl.querySelector('.filter-input');
+    const validationEl = builderEl.querySelector('.filter-validation');
+    const entity = builderEl.querySelector('.entity-select').value;
+    const filter = filterInput.value;
+    
+    const issues = filter.trim() ? validateFilter(filter, entity, entityConfig).issues : [];
+    filterInput.classList.toggle('invalid', issues.length > 0);
+    validationEl.style.display = issues.length ? 'block' : 'none';
+    validationEl.innerHTML = issues.map((issue, index) => `
+        <div class="filter-issue">
+            ⚠️ ${escapeHtml(issue.message)}${issue.suggestion ? ` - did you mean <code>${escapeHtml(issue.suggestion)}</code>?
+            <button type="button" class="filter-fix-btn" data-issue="${index}">Use ${escapeHtml(issue.suggestion)}</button>` : ''}
+        </div>
+    `).join('');
+    
+    validationEl.querySelectorAll('.filter-fix-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const issue = issues[btn.dataset.issue];
+            filterInput.value = filter.slice(0, issue.start) + issue.suggestion + filter.slice(issue.end);
+            filterInput.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    });
+    
+    return issues;
+}
+
+/**
+ * Ask before testing a query whose filter has problems
+ */
+function confirmFilterIssues(builderEl, issues, run) {
+    const resultsDiv = builderEl.querySelector('.test-results');
+    const resultsContent = resultsDiv.querySelector('.results-content');
+    
+    resultsDiv.style.display = 'block';
+    resultsContent.innerHTML = `
+        <div class="test-warning">
+            <p><strong>⚠️ The filter has ${issues.length} problem${issues.length === 1 ? '' : 's'}:</strong></p>
+            <ul>${issues.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}</ul>
+            <p>ODA does not report unknown fields - it ignores the filter and returns unfiltered data.
+            <a href="${getDocsUrl('api-reference/errors/silent-failures/')}">Read about silent failures</a></p>
+            <button type="button" class="run-anyway-btn">Run anyway</button>
+        </div>
+    `;
+    resultsContent.querySelector('.run-anyway-btn').addEventListener('click', run);
+}
+
+/**
+ * Apply quick filters
+ */
+function applyQuickFilter(builderEl, filterType) {
+    const filterInput = builderEl.querySelector('.filter-input');
+    if (!filterInput) return;
+    
+    // ODA dates are Danish local time, so "today" is today in Copenhagen
+    const today = getZonedToday(ODA_TIME_ZONE);
+    
+    let filterValue = '';
     
     switch (filterType) {
         case 'Recent':
-            filterValue = `opdateringsdato ge datetime'${sevenDaysAgo.toISOString().split('T')[0]}'`;
+            filterValue = formatDateFilter('opdateringsdato', DATE_FILTER_PRESETS.last7.spec(today));
             break;
         case 'ThisYear':
-            filterValue = `year(opdateringsdato) eq ${currentYear}`;
+            filterValue = formatDateFilter('opdateringsdato', DATE_FILTER_PRESETS.thisYear.spec(today));
             break;
         case 'Public':
             filterValue = "offentlighedskode eq 'O'";
             break;
         case 'Active':
-            filterValue = "statusid in (8,24,25,26)";
+            filterValue = 'statusid eq 8 or statusid eq 24 or statusid eq 25 or statusid eq 26';
             break;
     }
     
     filterInput.value = filterValue;
-    updateQuery(builderEl, entityConfig);
+    filterInput.dispatchEvent(new Event('input', { bubbles: true }));
 }
 
+// Test runs in progress per builder, so a new run cancels the previous one
+const activeTestRuns = new WeakMap();
+
 /**
- * Test API query (placeholder - would need CORS handling)
+ * Test API query by running it and rendering the response inline
+ *
+ * With the builder's entityConfig, code fields in the results are shown
+ * with their names.
  */
-function testApiQuery(builderEl, url) {
+async function testApiQuery(builderEl, url, entityConfig) {
     const resultsDiv = builderEl.querySelector('.test-results');
     const resultsContent = resultsDiv.querySelector('.results-content');
     
+    if (activeTestRuns.has(builderEl)) activeTestRuns.get(builderEl).abort();
+    const controller = new AbortController();
+    activeTestRuns.set(builderEl, controller);
+    
     resultsDiv.style.display = 'block';
     resultsContent.innerHTML = `
-        <div class="loading">Testing API query...</div>
-        <p><strong>URL:</strong> <code>${url}</code></p>
-        <p><em>Note: Due to CORS restrictions, we cannot directly test the API from this browser. 
-        Copy the URL above and test it in your terminal with curl or in a REST client.</em></p>
-        <h5>Test with cURL:</h5>
-        <code>curl "${url}"</code>
+        <div class="loading">Running query...</div>
+        <p><strong>URL:</strong> <code>${escapeHtml(url)}</code></p>
+    `;
+    
+    // Code names load alongside the query
+    const entity = builderEl.querySelector('.entity-select').value;
+    const codeNamesRequest = entityConfig
+        ? loadCodeLabeller(entity, getUrlParameter(url, '$expand') || '', entityConfig, getApiBaseUrl(builderEl)).catch(() => null)
+        : Promise.resolve(null);
+    
+    const result = await runOdaQuery(url, { signal: controller.signal });
+    const describeCode = await codeNamesRequest;
+    
+    // A newer run has taken over this panel
+    if (controller.signal.aborted) return;
+    activeTestRuns.delete(builderEl);
+    
+    if (result.networkError) {
+        const timedOut = result.networkError.name === 'AbortError';
+        resultsContent.innerHTML = `
+            <div class="test-summary">
+                <span class="test-status error">${timedOut ? 'Timed out' : 'Request failed'}</span>
+                <span>${result.latency} ms</span>
+            </div>
+            <p><em>${timedOut
+                ? 'The API did not answer in time.'
+                : 'The request could not be made from this browser (offline, blocked or refused).'}
+            Run it from your terminal instead:</em></p>
+            <h5>Test with cURL:</h5>
+            <code>curl "${escapeHtml(url)}"</code>
+        `;
+        return;
+    }
+    
+    const rows = result.data && Array.isArray(result.data.value) ? result.data.value : null;
+    const total = result.data && result.data['odata.count'] !== undefined ? parseInt(result.data['odata.count'], 10) : null;
+    
+    resultsContent.innerHTML = `
+        <div class="test-summary">
+            <span class="test-status ${result.ok ? 'ok' : 'error'}">${result.httpStatus} ${escapeHtml(result.statusText)}</span>
+            <span>${result.latency} ms</span>
+            <span>${formatBytes(result.size)}</span>
+            ${rows ? `<span>${rows.length} row${rows.length === 1 ? '' : 's'}${total !== null ? ` of ${total.toLocaleString()}` : ''}</span>` : ''}
+        </div>
+        ${result.ok ? '' : `<p class="test-error">${escapeHtml(getOdataErrorMessage(result))}</p>`}
+        ${rows ? `
+            <div class="results-views">
+                <button type="button" class="results-view-btn active" data-view="tree">🌳 JSON</button>
+                <button type="button" class="results-view-btn" data-view="grid">▦ Grid</button>
+            </div>
+        ` : ''}
+        <div class="test-response results-view" data-view="tree"></div>
+        <div class="test-grid results-view" data-view="grid" style="display: none;"></div>
     `;
+    
+    renderRelationTrail(builderEl, resultsContent, url, entityConfig);
+    
+    // ID fields and relations link to a query for the related records
+    const onLink = entityConfig && (link => followRelationLink(builderEl, url, link, entityConfig));
+    
+    const responseEl = resultsContent.querySelector('.test-response');
+    if (rows) {
+        setupResultsViews(builderEl, resultsContent, rows, describeCode, onLink && {
+            getCellLink: (key, value, row) => getGridCellLink(key, value, row, entity, entityConfig),
+            onLink
+        });
+    }
+    
+    if (result.data) {
+        // Tree paths start at value[n] for collections and at the record for Sag(123)
+        const describeTreeValue = describeCode && ((segments, value) => {
+            const names = segments.filter(segment => typeof segment === 'string');
+            return describeCode((rows ? names.slice(1) : names).join('/'), value);
+        });
+        createResponseViewer(responseEl, result.data, {
+            describeValue: describeTreeValue,
+            getLinks: onLink && ((segments, value) => getResultLinks(segments, value, entity, entityConfig, Boolean(rows))),
+            onLink
+        });
+    } else if (result.text) {
+        responseEl.innerHTML = `<pre><code>${escapeHtml(result.text)}</code></pre>`;
+    }
+    
+    if (rows) {
+        checkIgnoredFilter(builderEl, url, rows, total);
+    }
+}
+
+// Relation links followed per builder, [{ label, url }], oldest first
+const builderRelationTrails = new WeakMap();
+
+/**
+ * Describe a query for the relation breadcrumbs, e.g. "Sag (id eq 5)"
+ */
+function getRelationCrumbLabel(url) {
+    try {
+        const parsed = parseOdaUrl(url);
+        return parsed.params.$filter ? `${parsed.entity} (${parsed.params.$filter})` : parsed.entity;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Open a relation link from the results of `fromUrl` as a new query
+ *
+ * The query joins the builder's breadcrumb trail, which starts afresh
+ * when `fromUrl` isn't its last step.
+ */
+function followRelationLink(builderEl, fromUrl, link, entityConfig) {
+    const entitySelect = builderEl.querySelector('.entity-select');
+    let trail = builderRelationTrails.get(builderEl) || [];
+    if (!trail.length || trail[trail.length - 1].url !== fromUrl) {
+        trail = [{ label: getRelationCrumbLabel(fromUrl), url: fromUrl }];
+    }
+    
+    if (entitySelect.value !== link.entity) {
+        entitySelect.value = link.entity;
+        entitySelect.dispatchEvent(new Event('change'));
+    }
+    setBuilderParameters(builderEl, getRelationLinkParams(link));
+    
+    const url = builderEl.querySelector('.api-endpoint').textContent;
+    trail.push({ label: `${link.entity} (${link.filter})`, url });
+    builderRelationTrails.set(builderEl, trail);
+    
+    recordBuilderHistory(builderEl, { tested: true });
+    testApiQuery(builderEl, url, entityConfig);
+}
+
+/**
+ * Show the breadcrumb trail above results reached through relation links
+ *
+ * Clicking an earlier step loads and runs its query again. Results of
+ * any other query end the trail.
+ */
+function renderRelationTrail(builderEl, resultsContent, url, entityConfig) {
+    const trail = builderRelationTrails.get(builderEl);
+    if (!trail) return;
+    if (trail[trail.length - 1].url !== url) {
+        builderRelationTrails.delete(builderEl);
+        return;
+    }
+    if (trail.length < 2) return;
+    
+    resultsContent.insertAdjacentHTML('afterbegin', `
+        <nav class="relation-trail" aria-label="Relations followed">
+            ${trail.map((crumb, index) => index === trail.length - 1
+                ? `<span class="relation-crumb current" title="${escapeHtml(crumb.url)}">${escapeHtml(crumb.label)}</span>`
+                : `<button type="button" class="relation-crumb" data-index="${index}" title="${escapeHtml(crumb.url)}">${escapeHtml(crumb.label)}</button>`
+            ).join(' <span class="relation-trail-sep">›</span> ')}
+        </nav>
+    `);
+    
+    resultsContent.querySelectorAll('button.relation-crumb').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const steps = trail.slice(0, Number(btn.dataset.index) + 1);
+            const crumb = steps[steps.length - 1];
+            const parsed = parseOdaUrl(crumb.url);
+            const entitySelect = builderEl.querySelector('.entity-select');
+            if (entitySelect.value !== parsed.entity) {
+                entitySelect.value = parsed.entity;
+                entitySelect.dispatchEvent(new Event('change'));
+            }
+            setBuilderParameters(builderEl, parsed.params);
+            
+            // The rebuilt URL may encode the query differently
+            const url = builderEl.querySelector('.api-endpoint').textContent;
+            steps[steps.length - 1] = { ...crumb, url };
+            builderRelationTrails.set(builderEl, steps);
+            testApiQuery(builderEl, url, entityConfig);
+        });
+    });
+}
+
+/**
+ * Warn when a filtered query's results look unfiltered
+ *
+ * ODA drops filters it can't apply without an error. Signs of that: more
+ * rows than $top asked for, or a total equal to the entity's full count.
+ */
+async function checkIgnoredFilter(builderEl, url, rows, total) {
+    const filter = getUrlParameter(url, '$filter');
+    if (!filter) return;
+    
+    const summaryEl = builderEl.querySelector('.test-summary');
+    const top = parseInt(getUrlParameter(url, '$top'), 10);
+    const entity = decodeURIComponent(url.split('?')[0].split('/').pop());
+    let reason = null;
+    
+    if (!isNaN(top) && rows.length > top) {
+        reason = `${rows.length} rows came back although $top asked for ${top}.`;
+    } else {
+        try {
+            const filtered = total !== null ? total : parseInt((await fetchOdaJson(buildPageUrl(url, 0, { pageSize: 1, inlinecount: true })))['odata.count'], 10);
+            const unfiltered = await getEntityCount(entity, { baseUrl: getApiBaseUrl(builderEl) });
+            if (unfiltered.count > 0 && filtered >= unfiltered.count) {
+                reason = `The filter matched all ${unfiltered.count.toLocaleString()} ${entity} records.`;
+            }
+        } catch (error) {
+            return; // Can't tell - say nothing
+        }
+    }
+    
+    // A newer run has replaced the results
+    if (!reason || !summaryEl.isConnected) return;
+    
+    summaryEl.insertAdjacentHTML('afterend', `
+        <p class="test-warning">⚠️ ${escapeHtml(reason)} The filter was probably ignored - check the field names.
+        <a href="${getDocsUrl('api-reference/errors/silent-failures/')}">Why?</a></p>
+    `);
+}
+
+
+// Fetch-all runs per builder, so starting a new one cancels the previous one
+const activeBulkFetches = new WeakMap();
+
+/**
+ * Open the fetch-all panel for the current query
+ */
+function fetchAllPages(builderEl, url) {
+    const panel = builderEl.querySelector('.bulk-fetch');
+    const entity = builderEl.querySelector('.entity-select').value;
+    
+    if (activeBulkFetches.has(builderEl)) activeBulkFetches.get(builderEl).cancel();
+    
+    panel.style.display = 'block';
+    const runner = showBulkFetchPanel(panel.querySelector('.bulk-fetch-content'), url, {
+        filename: `${entity}-all-${new Date().toISOString().slice(0, 10)}`
+    });
+    activeBulkFetches.set(builderEl, runner);
+}
+
+/**
+ * Switch the Test results between the JSON tree and the grid
+ *
+ * The grid is built the first time it is shown. `describeCode(path, value)`
+ * names code values and `linkOptions` ({ getCellLink, onLink }) links
+ * ID cells to related records, if given.
+ */
+function setupResultsViews(builderEl, resultsContent, rows, describeCode, linkOptions) {
+    const buttons = resultsContent.querySelectorAll('.results-view-btn');
+    const views = resultsContent.querySelectorAll('.results-view');
+    const entity = builderEl.querySelector('.entity-select').value;
+    let grid = null;
+    
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            buttons.forEach(b => b.classList.toggle('active', b === btn));
+            views.forEach(view => {
+                view.style.display = view.dataset.view === btn.dataset.view ? 'block' : 'none';
+            });
+            
+            if (btn.dataset.view === 'grid' && !grid) {
+                const filename = `${entity}-${new Date().toISOString().slice(0, 10)}`;
+                grid = createResultsGrid(resultsContent.querySelector('.test-grid'), rows, {
+                    filename,
+                    describeValue: describeCode && ((key, value) => describeCode(key.replace('.', '/'), value)),
+                    ...linkOptions
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Explain a failed query response
+ */
+function getOdataErrorMessage(result) {
+    const error = result.data && result.data['odata.error'];
+    if (error && error.message) {
+        return error.message.value || String(error.message);
+    }
+    if (!result.text) {
+        // ODA answers some invalid queries (e.g. too deep $expand) with an empty body
+        return `The API returned HTTP ${result.httpStatus} with an empty body - check $expand depth and field names.`;
+    }
+    return `The API returned HTTP ${result.httpStatus}.`;
 }
 
 /**
@@ -993,13 +2126,15 @@ function shareQuery(url) {
     if (navigator.share) {
         navigator.share({
             title: 'Danish Parliament API Query',
-            text: 'Check out this Danish Parliament API query:',
+            text: 'Open this Danish Parliament API query in the query builder:',
             url: url
+        }).catch(() => {
+            // Share sheet dismissed
         });
     } else {
         // Fallback: copy to clipboard
         navigator.clipboard.writeText(url).then(() => {
-            alert('Query URL copied to clipboard!');
+            alert('Query builder link copied to clipboard!');
         });
     }
 }
@@ -1046,17 +2181,37 @@ function setupResponsiveTables() {
 }
 
 /**
- * Utility function to format API responses for display
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve a docs page path (e.g. 'api-reference/errors/silent-failures/')
+ * against the site root, so links work from any page
+ */
+function getDocsUrl(path) {
+    try {
+        const config = JSON.parse(document.getElementById('__config').textContent);
+        return new URL(`${config.base}/${path}`, window.location.href).href;
+    } catch (error) {
+        return `https://brokk-sindre.github.io/ft-oda-documentation/${path}`;
+    }
+}
+
+/**
+ * Format a byte count for display
  */
-function formatApiResponse(data, maxItems = 3) {
-    if (!data || !data.value) return 'No data available';
-    
-    const items = data.value.slice(0, maxItems);
-    return items.map(item => {
-        const keys = Object.keys(item).slice(0, 3); // Show first 3 fields
-        const preview = keys.map(key => `${key}: ${item[key]}`).join(', ');
-        return preview;
-    }).join('\n');
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 /**
@@ -1221,251 +2376,1399 @@ style.textContent = `
         transition: all 0.2s;
     }
     
-    .tab-btn.active {
-        color: var(--md-primary-fg-color);
-        border-bottom-color: var(--md-primary-fg-color);
+    .tab-btn.active {
+        color: var(--md-primary-fg-color);
+        border-bottom-color: var(--md-primary-fg-color);
+    }
+    
+    .tab-btn:hover {
+        color: var(--md-primary-fg-color);
+        background: var(--md-default-fg-color--lightest);
+    }
+    
+    .tab-content {
+        display: none;
+    }
+    
+    .tab-content.active {
+        display: block;
+    }
+    
+    .form-row {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 1rem;
+    }
+    
+    .form-group small {
+        color: var(--md-default-fg-color--light);
+        font-size: 0.8rem;
+    }
+    
+    .build-btn {
+        background: linear-gradient(45deg, var(--md-primary-fg-color), var(--md-accent-fg-color));
+        color: white;
+        border: none;
+        padding: 0.75rem 1.5rem;
+        border-radius: 6px;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 1rem;
+        transition: transform 0.2s, box-shadow 0.2s;
+    }
+    
+    .build-btn:hover {
+        transform: translateY(-2px);
+        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    }
+    
+    .advanced-controls {
+        max-width: 100%;
+    }
+    
+    .feature-group {
+        margin-bottom: 2rem;
+        padding: 1rem;
+        background: var(--md-default-fg-color--lightest);
+        border-radius: 6px;
+    }
+    
+    .feature-group h5 {
+        margin: 0 0 1rem 0;
+        color: var(--md-primary-fg-color);
+    }
+    
+    .filter-builder {
+        display: grid;
+        grid-template-columns: 1fr 1fr 1fr auto;
+        gap: 0.5rem;
+        align-items: end;
+    }
+    
+    .filter-builder select,
+    .filter-builder input {
+        padding: 0.5rem;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+    }
+    
+    .filter-builder {
+        position: relative;
+    }
+    
+    .record-suggestions {
+        position: absolute;
+        z-index: 10;
+        max-width: 32rem;
+        max-height: 20rem;
+        overflow-y: auto;
+        margin: 0.25rem 0 0 0;
+        padding: 0;
+        list-style: none;
+        background: var(--md-default-bg-color);
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        font-size: 0.8rem;
+    }
+    
+    .record-suggestion,
+    .record-suggestion-status {
+        margin: 0;
+        padding: 0.35rem 0.6rem;
+    }
+    
+    .record-suggestion {
+        cursor: pointer;
+    }
+    
+    .record-suggestion.active,
+    .record-suggestion:hover {
+        background: var(--md-default-fg-color--lightest);
+    }
+    
+    .record-suggestion-context,
+    .record-suggestion-status {
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .filter-builder.date-mode {
+        grid-template-columns: 1fr auto;
+    }
+    
+    .filter-date {
+        grid-column: 1 / -1;
+        font-size: 0.85rem;
+    }
+    
+    .date-filter-row,
+    .date-filter-presets {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+    }
+    
+    .date-filter-presets {
+        margin-top: 0.5rem;
+    }
+    
+    .filter-builder .date-filter-year {
+        width: 6rem;
+    }
+    
+    .filter-builder .date-filter-time-toggle input {
+        padding: 0;
+    }
+    
+    .date-filter-preset {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0.15rem 0.5rem;
+        border-radius: 12px;
+        cursor: pointer;
+        font-size: 0.75rem;
+    }
+    
+    .date-filter-preset:hover {
+        border-color: var(--md-accent-fg-color);
+    }
+    
+    .date-filter-preview {
+        display: block;
+        margin-top: 0.5rem;
+        font-family: var(--md-code-font-family);
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .date-filter-preview.incomplete {
+        font-family: inherit;
+        font-style: italic;
+    }
+    
+    .expand-picker {
+        margin-top: 0.25rem;
+        font-size: 0.8rem;
+    }
+    
+    .expand-picker summary {
+        cursor: pointer;
+        color: var(--md-primary-fg-color);
+    }
+    
+    .expand-tree {
+        max-height: 260px;
+        overflow-y: auto;
+    }
+    
+    .expand-level {
+        list-style: none;
+        margin: 0;
+        padding-left: 1rem;
+    }
+    
+    .expand-tree > .expand-level {
+        padding-left: 0;
+    }
+    
+    .expand-node {
+        margin: 0.1rem 0;
+    }
+    
+    .expand-toggle {
+        width: 1.25rem;
+        background: none;
+        border: none;
+        cursor: pointer;
+        color: var(--md-default-fg-color);
+    }
+    
+    .expand-toggle:disabled {
+        cursor: default;
+        color: var(--md-default-fg-color--lighter);
+    }
+    
+    .expand-target {
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .expand-issues {
+        color: var(--api-warning-color);
+    }
+    
+    .orderby-columns {
+        list-style: none;
+        margin: 0.25rem 0;
+        padding: 0;
+    }
+    
+    .orderby-column {
+        display: flex;
+        align-items: center;
+        gap: 0.25rem;
+        margin-bottom: 0.25rem;
+        font-size: 0.8rem;
+    }
+    
+    .orderby-handle {
+        background: none;
+        border: none;
+        cursor: grab;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .orderby-field {
+        flex: 1;
+        padding: 0.25rem;
+    }
+    
+    .orderby-direction,
+    .orderby-remove,
+    .orderby-add-btn {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0.15rem 0.5rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.75rem;
+    }
+    
+    .select-picker {
+        margin-top: 0.25rem;
+        font-size: 0.8rem;
+    }
+    
+    .select-picker summary {
+        cursor: pointer;
+        color: var(--md-primary-fg-color);
+    }
+    
+    .select-search {
+        width: 100%;
+        margin: 0.25rem 0;
+        padding: 0.25rem;
+    }
+    
+    .select-groups {
+        max-height: 300px;
+        overflow-y: auto;
+    }
+    
+    .select-group {
+        margin-bottom: 0.5rem;
+    }
+    
+    .select-group-title {
+        display: flex;
+        gap: 0.5rem;
+        align-items: baseline;
+        margin-bottom: 0.25rem;
+    }
+    
+    .select-fields {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(12rem, 1fr));
+        gap: 0.1rem 0.5rem;
+    }
+    
+    .select-type {
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .select-issues {
+        color: var(--api-warning-color);
+    }
+    
+    .select-size {
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .select-measure-btn {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0 0.5rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.75rem;
+    }
+    
+    .metadata-source {
+        color: var(--api-warning-color);
+    }
+    
+    .add-filter-btn {
+        background: var(--md-accent-fg-color);
+        color: white;
+        border: none;
+        padding: 0.5rem 1rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.9rem;
+        white-space: nowrap;
+    }
+    
+    .active-filters {
+        margin-top: 0.5rem;
+        font-size: 0.8rem;
+    }
+    
+    .filter-group {
+        display: inline-flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.25rem;
+        padding: 0.25rem;
+        border: 1px dashed transparent;
+        border-radius: 6px;
+        cursor: pointer;
+    }
+    
+    .filter-group .filter-group {
+        border-color: var(--md-default-fg-color--lighter);
+    }
+    
+    .filter-group.target {
+        border-color: var(--md-accent-fg-color);
+    }
+    
+    .filter-paren {
+        font-weight: bold;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .filter-chip {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.25rem;
+        background: var(--md-default-fg-color--lightest);
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0.1rem 0.25rem 0.1rem 0.5rem;
+        border-radius: 12px;
+    }
+    
+    .filter-chip-label,
+    .grid-code-label,
+    .jv-code-label,
+    .record-code-label {
+        color: var(--md-default-fg-color--light);
+        font-style: italic;
+    }
+    
+    .grid-code-label,
+    .jv-code-label,
+    .record-code-label {
+        font-size: 0.85em;
+    }
+    
+    .jv-links {
+        margin-left: 0.5rem;
+    }
+    
+    /* A record's relation links show once it is expanded */
+    .jv-container:not(.jv-expanded) > .jv-header > .jv-links {
+        display: none;
+    }
+    
+    .jv-link,
+    .grid-link,
+    .relation-crumb {
+        background: none;
+        border: none;
+        padding: 0 0.2rem;
+        cursor: pointer;
+        font-size: 0.85em;
+        color: var(--md-typeset-a-color);
+    }
+    
+    .jv-link:hover,
+    .grid-link:hover,
+    button.relation-crumb:hover {
+        text-decoration: underline;
+    }
+    
+    .relation-trail {
+        margin-bottom: 0.5rem;
+        font-size: 0.8rem;
+    }
+    
+    .relation-crumb.current {
+        color: var(--md-default-fg-color);
+        font-weight: bold;
+    }
+    
+    .relation-trail-sep {
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .filter-chip.raw {
+        border-style: dashed;
+    }
+    
+    .filter-chip.invalid {
+        border-color: var(--api-error-color);
+    }
+    
+    .filter-group-op,
+    .filter-group-add,
+    .filter-chip-remove {
+        background: none;
+        border: none;
+        cursor: pointer;
+        font-size: 0.75rem;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .filter-group-op {
+        font-weight: bold;
+        color: var(--md-primary-fg-color);
+    }
+    
+    .filter-composer-error {
+        color: var(--api-error-color);
+        font-size: 0.8rem;
+        margin: 0.25rem 0;
+    }
+    
+    .quick-filters {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+    }
+    
+    .quick-filter {
+        background: var(--md-primary-fg-color--light);
+        color: var(--md-primary-fg-color);
+        border: 1px solid var(--md-primary-fg-color);
+        padding: 0.25rem 0.75rem;
+        border-radius: 20px;
+        cursor: pointer;
+        font-size: 0.85rem;
+        transition: all 0.2s;
+    }
+    
+    .quick-filter:hover {
+        background: var(--md-primary-fg-color);
+        color: white;
+    }
+    
+    .format-options {
+        display: flex;
+        gap: 1rem;
+    }
+    
+    .format-options label {
+        display: flex;
+        align-items: center;
+        gap: 0.25rem;
+        cursor: pointer;
+    }
+    
+    .query-output {
+        margin-top: 1.5rem;
+        border-top: 1px solid var(--md-default-fg-color--lighter);
+        padding-top: 1rem;
+    }
+    
+    .output-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 0.5rem;
+    }
+    
+    .output-controls {
+        display: flex;
+        gap: 0.5rem;
+    }
+    
+    .output-controls button {
+        background: var(--md-default-fg-color--lighter);
+        color: var(--md-default-fg-color);
+        border: none;
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+        transition: all 0.2s;
+    }
+    
+    .output-controls button:hover {
+        background: var(--md-primary-fg-color);
+        color: white;
+    }
+    
+    .api-endpoint {
+        background: var(--md-code-bg-color);
+        color: var(--md-code-fg-color);
+        padding: 1rem;
+        border-radius: 4px;
+        font-family: var(--md-code-font);
+        font-size: 0.9rem;
+        line-height: 1.4;
+        word-break: break-all;
+        border: 1px solid var(--md-default-fg-color--lighter);
+    }
+    
+    .query-info {
+        margin-top: 0.5rem;
+        text-align: right;
+    }
+    
+    .example-categories {
+        max-height: 400px;
+        overflow-y: auto;
+    }
+    
+    .example-category {
+        margin-bottom: 1.5rem;
+    }
+    
+    .example-category h5 {
+        color: var(--md-primary-fg-color);
+        margin: 0 0 0.75rem 0;
+        font-size: 1.1rem;
+    }
+    
+    .example-item {
+        background: var(--md-default-fg-color--lightest);
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 6px;
+        padding: 1rem;
+        margin-bottom: 0.75rem;
+    }
+    
+    .example-item h6 {
+        margin: 0 0 0.5rem 0;
+        color: var(--md-default-fg-color);
+        font-size: 0.95rem;
+    }
+    
+    .example-codes {
+        margin: -0.25rem 0 0.5rem 0;
+        font-size: 0.8rem;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .example-codes:empty {
+        display: none;
+    }
+    
+    .example-query {
+        display: block;
+        background: var(--md-code-bg-color);
+        color: var(--md-code-fg-color);
+        padding: 0.5rem;
+        border-radius: 4px;
+        font-family: var(--md-code-font);
+        font-size: 0.8rem;
+        margin: 0.5rem 0;
+        word-break: break-all;
+    }
+    
+    .use-example-btn {
+        background: var(--md-accent-fg-color);
+        color: white;
+        border: none;
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+        transition: opacity 0.2s;
+    }
+    
+    .use-example-btn:hover {
+        opacity: 0.8;
+    }
+    
+    .test-results {
+        margin-top: 1rem;
+        padding: 1rem;
+        background: var(--md-default-fg-color--lightest);
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 6px;
+    }
+    
+    .test-results h4 {
+        margin: 0 0 1rem 0;
+        color: var(--md-primary-fg-color);
+    }
+    
+    .test-summary {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 1rem;
+        align-items: center;
+        margin-bottom: 0.75rem;
+        font-size: 0.85rem;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .test-status {
+        font-weight: 600;
+        padding: 0.1rem 0.5rem;
+        border-radius: 4px;
+        color: white;
+    }
+    
+    .test-status.ok {
+        background: var(--api-success-color);
+    }
+    
+    .test-status.error {
+        background: var(--api-error-color);
+    }
+    
+    .test-error {
+        color: var(--api-error-color);
+    }
+    
+    .import-url {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+    }
+    
+    .import-url-input {
+        flex: 1;
+        min-width: 200px;
+        padding: 0.5rem;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+        font-family: var(--md-code-font-family);
+        font-size: 0.8rem;
+    }
+    
+    .import-url-btn {
+        background: var(--md-primary-fg-color);
+        color: white;
+        border: none;
+        padding: 0.5rem 1rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85rem;
+    }
+    
+    .import-url-status {
+        flex-basis: 100%;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .import-url-status.warning {
+        color: var(--api-warning-color);
+    }
+    
+    .import-url-status.error {
+        color: var(--api-error-color);
+    }
+    
+    .query-lint {
+        margin-top: 0.5rem;
+        font-size: 0.8rem;
+    }
+    
+    .lint-item {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.25rem 0.5rem;
+        border-left: 3px solid var(--api-warning-color);
+        margin-bottom: 0.25rem;
+    }
+    
+    .lint-item.lint-error {
+        border-left-color: var(--api-error-color);
+    }
+    
+    .lint-severity {
+        font-weight: 600;
+        text-transform: uppercase;
+        font-size: 0.7rem;
+        color: var(--api-warning-color);
+    }
+    
+    .lint-error .lint-severity {
+        color: var(--api-error-color);
+    }
+    
+    .lint-message {
+        flex: 1;
+    }
+    
+    .lint-fix-btn {
+        background: none;
+        border: 1px solid var(--md-primary-fg-color);
+        color: var(--md-primary-fg-color);
+        border-radius: 4px;
+        padding: 0 0.5rem;
+        cursor: pointer;
+        font-size: 0.75rem;
+    }
+    
+    .test-warning {
+        color: var(--api-warning-color);
+        font-size: 0.85rem;
+    }
+    
+    .test-warning ul {
+        margin: 0.25rem 0;
+    }
+    
+    .run-anyway-btn {
+        background: var(--api-warning-color);
+        color: white;
+        border: none;
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+    
+    .filter-input.invalid {
+        border-color: var(--api-warning-color);
+    }
+    
+    .filter-validation {
+        margin-top: 0.25rem;
+        font-size: 0.8rem;
+        color: var(--api-warning-color);
+    }
+    
+    .filter-fix-btn {
+        background: none;
+        border: 1px solid var(--api-warning-color);
+        color: var(--api-warning-color);
+        border-radius: 4px;
+        padding: 0 0.5rem;
+        cursor: pointer;
+        font-size: 0.75rem;
+    }
+    
+    .test-response pre {
+        max-height: 400px;
+        overflow: auto;
+        margin: 0;
+    }
+    
+    .bulk-fetch {
+        margin-top: 1rem;
+        padding: 1rem;
+        background: var(--md-code-bg-color);
+        border-radius: 8px;
+    }
+    
+    .bulk-fetch-status {
+        font-size: 0.85rem;
+    }
+    
+    .bulk-fetch-warning {
+        color: var(--api-warning-color);
+    }
+    
+    .bulk-fetch-progress {
+        width: 100%;
+        margin-bottom: 0.5rem;
+    }
+    
+    .bulk-fetch-actions {
+        display: flex;
+        gap: 0.5rem;
+    }
+    
+    .bulk-fetch-actions button {
+        background: var(--md-primary-fg-color);
+        color: white;
+        border: none;
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+    
+    .query-library h5 {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin: 1rem 0 0.5rem;
+    }
+    
+    .library-save,
+    .library-search,
+    .library-files {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 0.5rem;
+        font-size: 0.8rem;
+    }
+    
+    .library-save input,
+    .library-search-input {
+        flex: 1;
+        min-width: 10rem;
+        padding: 0.4rem;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+        background: var(--md-default-bg-color);
+        color: var(--md-default-fg-color);
+    }
+    
+    .library-list {
+        max-height: 320px;
+        overflow-y: auto;
+    }
+    
+    .library-item {
+        display: flex;
+        align-items: flex-start;
+        gap: 0.5rem;
+        padding: 0.5rem;
+        border-bottom: 1px solid var(--md-default-fg-color--lightest);
+        font-size: 0.8rem;
+    }
+    
+    .library-item-main {
+        flex: 1;
+        min-width: 0;
+    }
+    
+    .library-item-main input {
+        width: 100%;
+        margin-bottom: 0.25rem;
+        padding: 0.25rem;
+    }
+    
+    .library-item-url {
+        display: block;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        font-size: 0.7rem;
+    }
+    
+    .library-tag {
+        margin-left: 0.25rem;
+        color: var(--md-primary-fg-color);
+        font-size: 0.7rem;
+    }
+    
+    .library-star {
+        background: none;
+        border: none;
+        cursor: pointer;
+        font-size: 1rem;
+        line-height: 1;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .library-star.starred {
+        color: var(--api-warning-color);
+    }
+    
+    .library-item-actions {
+        display: flex;
+        gap: 0.25rem;
+    }
+    
+    .library-item-actions button,
+    .library-save-btn,
+    .library-clear-btn,
+    .library-files button {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0.2rem 0.5rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.75rem;
+    }
+    
+    .library-empty {
+        color: var(--md-default-fg-color--light);
+        font-size: 0.8rem;
+    }
+    
+    .library-status.error {
+        color: var(--api-error-color);
+    }
+    
+    .code-generator {
+        margin-top: 1rem;
+        padding: 1rem;
+        background: var(--md-code-bg-color);
+        border-radius: 8px;
+    }
+    
+    .code-generator-controls {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.75rem;
+        margin-bottom: 0.5rem;
+        font-size: 0.8rem;
+    }
+    
+    .code-languages {
+        display: flex;
+        gap: 0.25rem;
+    }
+    
+    .code-language-btn {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+    
+    .code-language-btn.active {
+        background: var(--md-primary-fg-color);
+        border-color: var(--md-primary-fg-color);
+        color: white;
+    }
+    
+    .copy-code-btn {
+        margin-left: auto;
+        background: var(--md-primary-fg-color);
+        color: white;
+        border: none;
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+    
+    .code-output {
+        max-height: 400px;
+        overflow: auto;
+        margin: 0;
+        font-size: 0.75rem;
+    }
+    
+    .results-views {
+        display: flex;
+        gap: 0.25rem;
+        margin-bottom: 0.5rem;
+    }
+    
+    .results-view-btn {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .results-view-btn.active {
+        border-color: var(--md-primary-fg-color);
+        color: var(--md-primary-fg-color);
+    }
+    
+    /* Results Grid Styles */
+    .grid-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: flex-start;
+        gap: 0.5rem;
+        margin-bottom: 0.5rem;
+        font-size: 0.8rem;
+    }
+    
+    .grid-toolbar button {
+        background: var(--md-default-fg-color--lighter);
+        color: var(--md-default-fg-color);
+        border: none;
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+    
+    .grid-columns summary {
+        cursor: pointer;
+        padding: 0.25rem 0.5rem;
+    }
+    
+    .grid-column-list {
+        display: flex;
+        flex-direction: column;
+        max-height: 200px;
+        overflow-y: auto;
+        padding: 0.5rem;
+        background: var(--md-default-bg-color);
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+    }
+    
+    .grid-info {
+        margin-left: auto;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .grid-scroll {
+        max-height: 500px;
+        overflow: auto;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+    }
+    
+    .grid-table {
+        border-collapse: collapse;
+        font-size: 0.75rem;
+        width: max-content;
+    }
+    
+    .grid-table th {
+        position: sticky;
+        top: 0;
+        background: var(--md-default-fg-color--lightest);
+        background-color: var(--md-default-bg-color);
+        text-align: left;
+        padding: 0.25rem 1rem 0.25rem 0.5rem;
+        border-bottom: 2px solid var(--md-default-fg-color--lighter);
+        white-space: nowrap;
+        overflow: hidden;
+    }
+    
+    .grid-sort {
+        cursor: pointer;
+    }
+    
+    .grid-table th.sorted-asc .grid-sort::after { content: ' ▲'; }
+    .grid-table th.sorted-desc .grid-sort::after { content: ' ▼'; }
+    
+    .grid-resize {
+        position: absolute;
+        top: 0;
+        right: 0;
+        width: 6px;
+        height: 100%;
+        cursor: col-resize;
+    }
+    
+    .grid-table td {
+        padding: 0.25rem 0.5rem;
+        border-bottom: 1px solid var(--md-default-fg-color--lightest);
+        max-width: 400px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    
+    .grid-table td.grid-number {
+        text-align: right;
+    }
+    
+    .grid-more {
+        margin-top: 0.5rem;
+        background: none;
+        border: 1px dashed var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+        padding: 0.25rem 0.75rem;
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+    
+    /* JSON Response Viewer Styles */
+    .jv-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 0.5rem;
+    }
+    
+    .jv-toolbar button {
+        background: var(--md-default-fg-color--lighter);
+        color: var(--md-default-fg-color);
+        border: none;
+        padding: 0.25rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+    
+    .jv-toolbar button:disabled {
+        opacity: 0.5;
+        cursor: default;
+    }
+    
+    .jv-search {
+        flex: 1;
+        min-width: 150px;
+        padding: 0.25rem 0.5rem;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+    }
+    
+    .jv-message {
+        font-size: 0.8rem;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .jv-tree {
+        max-height: 500px;
+        overflow: auto;
+        padding: 0.5rem;
+        background: var(--md-code-bg-color);
+        border-radius: 4px;
+        font-family: var(--md-code-font);
+        font-size: 0.8rem;
+        line-height: 1.5;
+    }
+    
+    .jv-header {
+        white-space: nowrap;
+        cursor: default;
     }
     
-    .tab-btn:hover {
-        color: var(--md-primary-fg-color);
-        background: var(--md-default-fg-color--lightest);
+    .jv-container > .jv-header {
+        cursor: pointer;
     }
     
-    .tab-content {
-        display: none;
+    .jv-toggle {
+        display: inline-block;
+        width: 1rem;
+        color: var(--md-default-fg-color--light);
     }
     
-    .tab-content.active {
-        display: block;
+    .jv-children {
+        margin-left: 1rem;
+        border-left: 1px dotted var(--md-default-fg-color--lighter);
+        padding-left: 0.25rem;
     }
     
-    .form-row {
-        display: grid;
-        grid-template-columns: 1fr 1fr;
-        gap: 1rem;
+    .jv-node:not(.jv-expanded) > .jv-children {
+        display: none;
     }
     
-    .form-group small {
-        color: var(--md-default-fg-color--light);
-        font-size: 0.8rem;
+    .jv-key {
+        color: #1976d2;
+        cursor: copy;
     }
     
-    .build-btn {
-        background: linear-gradient(45deg, var(--md-primary-fg-color), var(--md-accent-fg-color));
-        color: white;
-        border: none;
-        padding: 0.75rem 1.5rem;
-        border-radius: 6px;
-        cursor: pointer;
-        font-weight: 600;
-        font-size: 1rem;
-        transition: transform 0.2s, box-shadow 0.2s;
+    .jv-key:hover {
+        text-decoration: underline;
     }
     
-    .build-btn:hover {
-        transform: translateY(-2px);
-        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-    }
+    .jv-string { color: #2e7d32; white-space: pre-wrap; }
+    .jv-number { color: #ef6c00; }
+    .jv-boolean { color: #7b1fa2; }
+    .jv-null { color: #9e9e9e; }
+    .jv-preview { color: var(--md-default-fg-color--light); }
     
-    .advanced-controls {
-        max-width: 100%;
+    .jv-match {
+        background: rgba(255, 235, 59, 0.35);
     }
     
-    .feature-group {
-        margin-bottom: 2rem;
-        padding: 1rem;
-        background: var(--md-default-fg-color--lightest);
-        border-radius: 6px;
+    .jv-current {
+        background: rgba(255, 193, 7, 0.7);
     }
     
-    .feature-group h5 {
-        margin: 0 0 1rem 0;
-        color: var(--md-primary-fg-color);
+    .jv-more {
+        background: none;
+        border: 1px dashed var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+        padding: 0.1rem 0.5rem;
+        margin: 0.25rem 0;
+        cursor: pointer;
+        font-size: 0.75rem;
+        color: var(--md-default-fg-color--light);
     }
     
-    .filter-builder {
-        display: grid;
-        grid-template-columns: 1fr 1fr 1fr auto;
+    .response-viewer-form {
+        display: flex;
         gap: 0.5rem;
-        align-items: end;
+        margin-bottom: 0.75rem;
     }
     
-    .filter-builder select,
-    .filter-builder input {
+    .response-viewer-url {
+        flex: 1;
         padding: 0.5rem;
         border: 1px solid var(--md-default-fg-color--lighter);
         border-radius: 4px;
+        font-family: var(--md-code-font);
+        font-size: 0.8rem;
     }
     
-    .add-filter-btn {
-        background: var(--md-accent-fg-color);
+    .response-viewer-load {
+        background: var(--md-primary-fg-color);
         color: white;
         border: none;
         padding: 0.5rem 1rem;
         border-radius: 4px;
         cursor: pointer;
-        font-size: 0.9rem;
-        white-space: nowrap;
     }
     
-    .quick-filters {
+    .loading {
+        color: var(--md-accent-fg-color);
+        font-weight: 500;
+        margin-bottom: 1rem;
+    }
+    
+    .record-inspector-form {
         display: flex;
-        flex-wrap: wrap;
         gap: 0.5rem;
+        margin-bottom: 0.5rem;
     }
     
-    .quick-filter {
-        background: var(--md-primary-fg-color--light);
-        color: var(--md-primary-fg-color);
-        border: 1px solid var(--md-primary-fg-color);
-        padding: 0.25rem 0.75rem;
-        border-radius: 20px;
-        cursor: pointer;
-        font-size: 0.85rem;
-        transition: all 0.2s;
+    .record-inspector-input {
+        flex: 1;
+        padding: 0.5rem;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+        font-family: var(--md-code-font);
+        font-size: 0.8rem;
     }
     
-    .quick-filter:hover {
+    .record-inspector-load {
         background: var(--md-primary-fg-color);
         color: white;
-    }
-    
-    .format-options {
-        display: flex;
-        gap: 1rem;
-    }
-    
-    .format-options label {
-        display: flex;
-        align-items: center;
-        gap: 0.25rem;
+        border: none;
+        padding: 0.5rem 1rem;
+        border-radius: 4px;
         cursor: pointer;
     }
     
-    .query-output {
-        margin-top: 1.5rem;
-        border-top: 1px solid var(--md-default-fg-color--lighter);
-        padding-top: 1rem;
+    .record-inspector-status {
+        font-size: 0.8rem;
+        margin: 0.25rem 0;
     }
     
-    .output-header {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        margin-bottom: 0.5rem;
+    .record-inspector-status.error {
+        color: var(--api-error-color);
     }
     
-    .output-controls {
+    .record-header {
         display: flex;
+        flex-wrap: wrap;
+        align-items: baseline;
         gap: 0.5rem;
     }
     
-    .output-controls button {
-        background: var(--md-default-fg-color--lighter);
-        color: var(--md-default-fg-color);
-        border: none;
-        padding: 0.25rem 0.75rem;
+    .record-header h4 {
+        margin: 0;
+    }
+    
+    .record-inspector-copy {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
         border-radius: 4px;
+        padding: 0.1rem 0.5rem;
         cursor: pointer;
-        font-size: 0.8rem;
-        transition: all 0.2s;
+        font-size: 0.75rem;
     }
     
-    .output-controls button:hover {
-        background: var(--md-primary-fg-color);
-        color: white;
+    .record-inspector-raw {
+        font-size: 0.75rem;
     }
     
-    .api-endpoint {
-        background: var(--md-code-bg-color);
-        color: var(--md-code-fg-color);
-        padding: 1rem;
-        border-radius: 4px;
+    .md-typeset .record-fields {
+        font-size: 0.75rem;
+        margin: 0.75rem 0;
+    }
+    
+    .record-fields th {
+        text-align: left;
         font-family: var(--md-code-font);
-        font-size: 0.9rem;
-        line-height: 1.4;
-        word-break: break-all;
-        border: 1px solid var(--md-default-fg-color--lighter);
     }
     
-    .query-info {
-        margin-top: 0.5rem;
-        text-align: right;
+    .record-null {
+        color: var(--md-default-fg-color--light);
+        font-style: italic;
     }
     
-    .example-categories {
-        max-height: 400px;
-        overflow-y: auto;
+    .record-inspect {
+        background: none;
+        border: none;
+        padding: 0;
+        cursor: pointer;
+        font: inherit;
+        color: var(--md-typeset-a-color);
+        text-align: left;
     }
     
-    .example-category {
-        margin-bottom: 1.5rem;
+    .record-inspect:hover {
+        text-decoration: underline;
     }
     
-    .example-category h5 {
-        color: var(--md-primary-fg-color);
-        margin: 0 0 0.75rem 0;
-        font-size: 1.1rem;
+    .record-section {
+        border: 1px solid var(--md-default-fg-color--lightest);
+        border-radius: 4px;
+        padding: 0.25rem 0.75rem;
+        margin: 0.25rem 0;
+        font-size: 0.8rem;
     }
     
-    .example-item {
-        background: var(--md-default-fg-color--lightest);
-        border: 1px solid var(--md-default-fg-color--lighter);
-        border-radius: 6px;
-        padding: 1rem;
-        margin-bottom: 0.75rem;
+    .record-section summary {
+        cursor: pointer;
     }
     
-    .example-item h6 {
-        margin: 0 0 0.5rem 0;
-        color: var(--md-default-fg-color);
-        font-size: 0.95rem;
+    .record-section summary small,
+    .record-section-count,
+    .record-section-url {
+        color: var(--md-default-fg-color--light);
     }
     
-    .example-query {
-        display: block;
-        background: var(--md-code-bg-color);
-        color: var(--md-code-fg-color);
-        padding: 0.5rem;
-        border-radius: 4px;
-        font-family: var(--md-code-font);
-        font-size: 0.8rem;
-        margin: 0.5rem 0;
+    .record-section-url code {
+        font-size: 0.7rem;
         word-break: break-all;
     }
     
-    .use-example-btn {
-        background: var(--md-accent-fg-color);
-        color: white;
-        border: none;
-        padding: 0.25rem 0.75rem;
-        border-radius: 4px;
-        cursor: pointer;
-        font-size: 0.8rem;
-        transition: opacity 0.2s;
+    .record-items {
+        margin: 0.25rem 0;
     }
     
-    .use-example-btn:hover {
-        opacity: 0.8;
+    .record-item-relation {
+        margin-left: 0.5rem;
+        color: var(--md-default-fg-color--light);
     }
     
-    .test-results {
-        margin-top: 1rem;
-        padding: 1rem;
-        background: var(--md-default-fg-color--lightest);
-        border: 1px solid var(--md-default-fg-color--lighter);
-        border-radius: 6px;
+    .record-section-empty {
+        font-style: italic;
+        color: var(--md-default-fg-color--light);
     }
     
-    .test-results h4 {
-        margin: 0 0 1rem 0;
-        color: var(--md-primary-fg-color);
+    .record-section-more {
+        background: none;
+        border: 1px dashed var(--md-default-fg-color--lighter);
+        border-radius: 4px;
+        padding: 0.1rem 0.5rem;
+        cursor: pointer;
+        font-size: 0.75rem;
     }
     
-    .loading {
-        color: var(--md-accent-fg-color);
-        font-weight: 500;
-        margin-bottom: 1rem;
+    .record-inspector-panel {
+        position: fixed;
+        top: 0;
+        right: 0;
+        bottom: 0;
+        width: min(36rem, 100%);
+        overflow-y: auto;
+        z-index: 10;
+        background: var(--md-default-bg-color);
+        border-left: 1px solid var(--md-default-fg-color--lighter);
+        box-shadow: -2px 0 8px rgba(0,0,0,0.1);
+        padding: 2.5rem 1rem 1rem;
+    }
+    
+    .record-inspector-panel[hidden] {
+        display: none;
+    }
+    
+    .record-inspector-close {
+        position: absolute;
+        top: 0.5rem;
+        right: 0.5rem;
+        background: none;
+        border: none;
+        cursor: pointer;
+        font-size: 1rem;
     }
     
     /* Enhanced API Status Widget Styles */
@@ -1508,6 +3811,10 @@ style.textContent = `
         background: linear-gradient(45deg, #4caf50, #8bc34a);
     }
     
+    .status-indicator-large.degraded {
+        background: linear-gradient(45deg, #ff9800, #ffc107);
+    }
+    
     .status-indicator-large.offline {
         background: linear-gradient(45deg, #f44336, #ff5722);
     }
@@ -1794,6 +4101,34 @@ style.textContent = `
         text-align: center;
     }
     
+    .history-windows {
+        display: flex;
+        justify-content: center;
+        gap: 0.5rem;
+        margin-bottom: 0.75rem;
+    }
+    
+    .history-window {
+        background: none;
+        border: 1px solid var(--md-default-fg-color--lighter);
+        padding: 0.25rem 0.75rem;
+        border-radius: 20px;
+        cursor: pointer;
+        font-size: 0.8rem;
+        color: var(--md-default-fg-color--light);
+    }
+    
+    .history-window.active {
+        border-color: var(--md-primary-fg-color);
+        color: var(--md-primary-fg-color);
+    }
+    
+    .history-summary {
+        margin: 0.75rem 0 0 0;
+        font-size: 0.85rem;
+        color: var(--md-default-fg-color--light);
+    }
+    
     .status-controls {
         display: flex;
         justify-content: space-between;
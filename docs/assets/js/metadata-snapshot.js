@@ -0,0 +1,228 @@
+/**
+ * Danish Parliament API Documentation - Bundled Metadata Snapshot
+ *
+ * Entity sets of the ODA $metadata document, compiled from the entity
+ * reference pages. odata-metadata.js falls back to this when the live
+ * document can't be loaded.
+ *
+ * Properties are 'name:Type' (Edm types without the prefix); navigation
+ * entries are [name, target entity set, multiplicity]. Every key is `id`.
+ */
+const ODA_METADATA_SNAPSHOT = {
+    Afstemning: {
+        properties: ['id:Int32', 'nummer:Int32', 'konklusion:String', 'vedtaget:Boolean', 'kommentar:String',
+            'mødeid:Int32', 'typeid:Int32', 'sagstrinid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Afstemningstype', 'Afstemningstype', '1'], ['Møde', 'Møde', '1'],
+            ['Sagstrin', 'Sagstrin', '0..1'], ['Stemme', 'Stemme', '*']]
+    },
+    Afstemningstype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Afstemning', 'Afstemning', '*']]
+    },
+    Aktør: {
+        properties: ['id:Int32', 'typeid:Int32', 'gruppenavnkort:String', 'navn:String', 'fornavn:String',
+            'efternavn:String', 'biografi:String', 'periodeid:Int32', 'opdateringsdato:DateTime',
+            'startdato:DateTime', 'slutdato:DateTime'],
+        navigation: [['Aktørtype', 'Aktørtype', '1'], ['Periode', 'Periode', '0..1'],
+            ['FraAktør', 'AktørAktør', '*'], ['TilAktør', 'AktørAktør', '*'],
+            ['DokumentAktør', 'DokumentAktør', '*'], ['MødeAktør', 'MødeAktør', '*'],
+            ['SagAktør', 'SagAktør', '*'], ['SagstrinAktør', 'SagstrinAktør', '*'], ['Stemme', 'Stemme', '*']]
+    },
+    AktørAktør: {
+        properties: ['id:Int32', 'fraaktørid:Int32', 'tilaktørid:Int32', 'startdato:DateTime', 'slutdato:DateTime',
+            'opdateringsdato:DateTime', 'rolleid:Int32'],
+        navigation: [['AktørAktørRolle', 'AktørAktørRolle', '1'], ['FraAktør', 'Aktør', '1'], ['TilAktør', 'Aktør', '1']]
+    },
+    AktørAktørRolle: {
+        properties: ['id:Int32', 'rolle:String', 'opdateringsdato:DateTime'],
+        navigation: [['AktørAktør', 'AktørAktør', '*']]
+    },
+    Aktørtype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Aktør', 'Aktør', '*']]
+    },
+    Dagsordenspunkt: {
+        properties: ['id:Int32', 'kørebemærkning:String', 'titel:String', 'kommentar:String', 'nummer:String',
+            'forhandlingskode:String', 'forhandling:String', 'superid:Int32', 'sagstrinid:Int32', 'mødeid:Int32',
+            'offentlighedskode:String', 'opdateringsdato:DateTime'],
+        navigation: [['Møde', 'Møde', '1'], ['Sagstrin', 'Sagstrin', '0..1'],
+            ['DagsordenspunktDokument', 'DagsordenspunktDokument', '*'], ['DagsordenspunktSag', 'DagsordenspunktSag', '*']]
+    },
+    DagsordenspunktDokument: {
+        properties: ['id:Int32', 'dokumentid:Int32', 'dagsordenspunktid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Dagsordenspunkt', 'Dagsordenspunkt', '1'], ['Dokument', 'Dokument', '1']]
+    },
+    DagsordenspunktSag: {
+        properties: ['id:Int32', 'dagsordenspunktid:Int32', 'sagid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Dagsordenspunkt', 'Dagsordenspunkt', '1'], ['Sag', 'Sag', '1']]
+    },
+    Dokument: {
+        properties: ['id:Int32', 'typeid:Int32', 'kategoriid:Int32', 'statusid:Int32', 'offentlighedskode:String',
+            'titel:String', 'dato:DateTime', 'modtagelsesdato:DateTime', 'frigivelsesdato:DateTime', 'paragraf:String',
+            'paragrafnummer:String', 'spørgsmålsordlyd:String', 'spørgsmålstitel:String', 'spørgsmålsstatus:String',
+            'spørgsmålsid:Int32', 'procedurenummer:String', 'grundnotatstatus:String', 'dagsordenudgavenummer:Int16',
+            'opdateringsdato:DateTime'],
+        navigation: [['Dokumentkategori', 'Dokumentkategori', '1'], ['Dokumentstatus', 'Dokumentstatus', '1'],
+            ['Dokumenttype', 'Dokumenttype', '1'], ['DagsordenspunktDokument', 'DagsordenspunktDokument', '*'],
+            ['DokumentAktør', 'DokumentAktør', '*'], ['EmneordDokument', 'EmneordDokument', '*'], ['Fil', 'Fil', '*'],
+            ['Omtryk', 'Omtryk', '*'], ['SagDokument', 'SagDokument', '*'], ['SagstrinDokument', 'SagstrinDokument', '*']]
+    },
+    DokumentAktør: {
+        properties: ['id:Int32', 'dokumentid:Int32', 'aktørid:Int32', 'opdateringsdato:DateTime', 'rolleid:Int32'],
+        navigation: [['Aktør', 'Aktør', '1'], ['Dokument', 'Dokument', '1'], ['DokumentAktørRolle', 'DokumentAktørRolle', '1']]
+    },
+    DokumentAktørRolle: {
+        properties: ['id:Int32', 'rolle:String', 'opdateringsdato:DateTime'],
+        navigation: [['DokumentAktør', 'DokumentAktør', '*']]
+    },
+    Dokumentkategori: {
+        properties: ['id:Int32', 'kategori:String', 'opdateringsdato:DateTime'],
+        navigation: [['Dokument', 'Dokument', '*']]
+    },
+    Dokumentstatus: {
+        properties: ['id:Int32', 'status:String', 'opdateringsdato:DateTime'],
+        navigation: [['Dokument', 'Dokument', '*']]
+    },
+    Dokumenttype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Dokument', 'Dokument', '*']]
+    },
+    Emneord: {
+        properties: ['id:Int32', 'typeid:Int32', 'emneord:String', 'opdateringsdato:DateTime'],
+        navigation: [['Emneordstype', 'Emneordstype', '1'], ['EmneordDokument', 'EmneordDokument', '*'],
+            ['EmneordSag', 'EmneordSag', '*']]
+    },
+    EmneordDokument: {
+        properties: ['id:Int32', 'emneordid:Int32', 'dokumentid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Dokument', 'Dokument', '1'], ['Emneord', 'Emneord', '1']]
+    },
+    EmneordSag: {
+        properties: ['id:Int32', 'emneordid:Int32', 'sagid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Emneord', 'Emneord', '1'], ['Sag', 'Sag', '1']]
+    },
+    Emneordstype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Emneord', 'Emneord', '*']]
+    },
+    EUsag: {
+        properties: ['id:Int32', 'typeid:Int32', 'kategoriid:Int32', 'statusid:Int32', 'titel:String', 'titelkort:String',
+            'offentlighedskode:String', 'nummer:String', 'resume:String', 'periodeid:Int32', 'afgørelsesdato:DateTime',
+            'afgørelse:String', 'baggrundsmateriale:String', 'begrundelse:String', 'opdateringsdato:DateTime'],
+        navigation: []
+    },
+    Fil: {
+        properties: ['id:Int32', 'dokumentid:Int32', 'titel:String', 'versionsdato:DateTime', 'filurl:String',
+            'opdateringsdato:DateTime', 'variantkode:String', 'format:String'],
+        navigation: [['Dokument', 'Dokument', '1']]
+    },
+    Møde: {
+        properties: ['id:Int32', 'titel:String', 'lokale:String', 'nummer:String', 'dagsordenurl:String',
+            'starttidsbemærkning:String', 'offentlighedskode:String', 'dato:DateTime', 'statusid:Int32', 'typeid:Int32',
+            'periodeid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Mødestatus', 'Mødestatus', '1'], ['Mødetype', 'Mødetype', '1'], ['Periode', 'Periode', '1'],
+            ['Afstemning', 'Afstemning', '*'], ['Dagsordenspunkt', 'Dagsordenspunkt', '*'], ['MødeAktør', 'MødeAktør', '*']]
+    },
+    MødeAktør: {
+        properties: ['id:Int32', 'mødeid:Int32', 'aktørid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Aktør', 'Aktør', '1'], ['Møde', 'Møde', '1']]
+    },
+    Mødestatus: {
+        properties: ['id:Int32', 'status:String', 'opdateringsdato:DateTime'],
+        navigation: [['Møde', 'Møde', '*']]
+    },
+    Mødetype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Møde', 'Møde', '*']]
+    },
+    Omtryk: {
+        properties: ['id:Int32', 'dokumentid:Int32', 'dato:DateTime', 'begrundelse:String', 'opdateringsdato:DateTime'],
+        navigation: [['Dokument', 'Dokument', '1']]
+    },
+    Periode: {
+        properties: ['id:Int32', 'startdato:DateTime', 'slutdato:DateTime', 'type:String', 'kode:String',
+            'titel:String', 'opdateringsdato:DateTime'],
+        navigation: [['Aktør', 'Aktør', '*'], ['Møde', 'Møde', '*'], ['Sag', 'Sag', '*']]
+    },
+    Sag: {
+        properties: ['id:Int32', 'typeid:Int32', 'kategoriid:Int32', 'statusid:Int32', 'titel:String', 'titelkort:String',
+            'offentlighedskode:String', 'nummer:String', 'nummerprefix:String', 'nummernumerisk:String',
+            'nummerpostfix:String', 'resume:String', 'afstemningskonklusion:String', 'periodeid:Int32',
+            'afgørelsesresultatkode:String', 'baggrundsmateriale:String', 'opdateringsdato:DateTime',
+            'statsbudgetsag:Boolean', 'begrundelse:String', 'paragrafnummer:Int32', 'paragraf:String',
+            'afgørelsesdato:DateTime', 'afgørelse:String', 'rådsmødedato:DateTime', 'lovnummer:String',
+            'lovnummerdato:DateTime', 'retsinformationsurl:String', 'fremsatundersagid:Int32', 'deltundersagid:Int32'],
+        navigation: [['Periode', 'Periode', '1'], ['Sagskategori', 'Sagskategori', '0..1'], ['Sagsstatus', 'Sagsstatus', '1'],
+            ['Sagstype', 'Sagstype', '1'], ['DagsordenspunktSag', 'DagsordenspunktSag', '*'],
+            ['EmneordSag', 'EmneordSag', '*'], ['SagAktør', 'SagAktør', '*'], ['SagDokument', 'SagDokument', '*'],
+            ['Sagstrin', 'Sagstrin', '*']]
+    },
+    SagAktør: {
+        properties: ['id:Int32', 'aktørid:Int32', 'sagid:Int32', 'opdateringsdato:DateTime', 'rolleid:Int32'],
+        navigation: [['Aktør', 'Aktør', '1'], ['Sag', 'Sag', '1'], ['SagAktørRolle', 'SagAktørRolle', '1']]
+    },
+    SagAktørRolle: {
+        properties: ['id:Int32', 'rolle:String', 'opdateringsdato:DateTime'],
+        navigation: [['SagAktør', 'SagAktør', '*']]
+    },
+    SagDokument: {
+        properties: ['id:Int32', 'sagid:Int32', 'dokumentid:Int32', 'bilagsnummer:String', 'frigivelsesdato:DateTime',
+            'opdateringsdato:DateTime', 'rolleid:Int32'],
+        navigation: [['Dokument', 'Dokument', '1'], ['Sag', 'Sag', '1'], ['SagDokumentRolle', 'SagDokumentRolle', '1']]
+    },
+    SagDokumentRolle: {
+        properties: ['id:Int32', 'rolle:String', 'opdateringsdato:DateTime'],
+        navigation: [['SagDokument', 'SagDokument', '*']]
+    },
+    Sagskategori: {
+        properties: ['id:Int32', 'kategori:String', 'opdateringsdato:DateTime'],
+        navigation: [['Sag', 'Sag', '*']]
+    },
+    Sagsstatus: {
+        properties: ['id:Int32', 'status:String', 'opdateringsdato:DateTime'],
+        navigation: [['Sag', 'Sag', '*']]
+    },
+    Sagstrin: {
+        properties: ['id:Int32', 'titel:String', 'dato:DateTime', 'sagid:Int32', 'typeid:Int32',
+            'folketingstidendeurl:String', 'folketingstidende:String', 'folketingstidendenummer:String',
+            'statusid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Sag', 'Sag', '1'], ['Sagstrinsstatus', 'Sagstrinsstatus', '1'], ['Sagstrinstype', 'Sagstrinstype', '1'],
+            ['Afstemning', 'Afstemning', '*'], ['Dagsordenspunkt', 'Dagsordenspunkt', '*'],
+            ['SagstrinAktør', 'SagstrinAktør', '*'], ['SagstrinDokument', 'SagstrinDokument', '*']]
+    },
+    SagstrinAktør: {
+        properties: ['id:Int32', 'sagstrinid:Int32', 'aktørid:Int32', 'opdateringsdato:DateTime', 'rolleid:Int32'],
+        navigation: [['Aktør', 'Aktør', '1'], ['Sagstrin', 'Sagstrin', '1'], ['SagstrinAktørRolle', 'SagstrinAktørRolle', '1']]
+    },
+    SagstrinAktørRolle: {
+        properties: ['id:Int32', 'rolle:String', 'opdateringsdato:DateTime'],
+        navigation: [['SagstrinAktør', 'SagstrinAktør', '*']]
+    },
+    SagstrinDokument: {
+        properties: ['id:Int32', 'sagstrinid:Int32', 'dokumentid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Dokument', 'Dokument', '1'], ['Sagstrin', 'Sagstrin', '1']]
+    },
+    Sagstrinsstatus: {
+        properties: ['id:Int32', 'status:String', 'opdateringsdato:DateTime'],
+        navigation: [['Sagstrin', 'Sagstrin', '*']]
+    },
+    Sagstrinstype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Sagstrin', 'Sagstrin', '*']]
+    },
+    Sagstype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Sag', 'Sag', '*']]
+    },
+    Sambehandlinger: {
+        properties: ['id:Int32', 'førstesagstrinid:Int32', 'andetsagstrinid:Int32', 'opdateringsdato:DateTime'],
+        navigation: []
+    },
+    Stemme: {
+        properties: ['id:Int32', 'typeid:Int32', 'afstemningid:Int32', 'aktørid:Int32', 'opdateringsdato:DateTime'],
+        navigation: [['Afstemning', 'Afstemning', '1'], ['Aktør', 'Aktør', '1'], ['Stemmetype', 'Stemmetype', '1']]
+    },
+    Stemmetype: {
+        properties: ['id:Int32', 'type:String', 'opdateringsdato:DateTime'],
+        navigation: [['Stemme', 'Stemme', '*']]
+    }
+};
@@ -0,0 +1,404 @@
+/**
+ * Danish Parliament API Documentation - OData Filter Expressions
+ *
+ * Tokenizer and parser for OData 3.0 $filter expressions, plus helpers
+ * that write literals the way the API expects them:
+ *
+ *   substringof('klima', titel) and (typeid eq 3 or typeid eq 5)
+ *
+ * Parsed expressions are plain objects with source positions:
+ *   { type: 'binary', operator: 'and', left, right, start, end }
+ *   { type: 'not', operand, start, end }
+ *   { type: 'call', name: 'substringof', args: [...], start, end }
+ *   { type: 'member', name: 'Sagsstatus/status', start, end }
+ *   { type: 'literal', kind: 'string' | 'number' | 'boolean' | 'null' | 'datetime' | ..., value, start, end }
+ *
+ * The OData 4 `in` operator is parsed too, as a binary 'in' whose right
+ * side is { type: 'list', items, start, end }, so it can be reported and
+ * rewritten rather than failing as a syntax error.
+ */
+
+const ODATA_COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+const ODATA_NUMERIC_TYPES = ['Byte', 'SByte', 'Int16', 'Int32', 'Int64', 'Decimal', 'Double', 'Single'];
+const ODATA_TYPED_LITERALS = ['datetime', 'datetimeoffset', 'time', 'guid', 'binary', 'x'];
+
+/**
+ * Create a syntax error pointing at a position in the filter text
+ */
+function filterSyntaxError(message, position) {
+    const error = new Error(message);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Split a filter expression into tokens
+ *
+ * Tokens are { type, value, start, end } with type one of 'open', 'close',
+ * 'comma', 'string', 'number', 'literal' (typed, e.g. datetime'...', with a
+ * `kind`) and 'identifier' (field names, functions and keywords).
+ */
+function tokenizeFilter(text) {
+    const tokens = [];
+    const identifierPattern = /^[\p{L}_][\p{L}\p{N}_]*(\/[\p{L}_][\p{L}\p{N}_]*)*/u;
+    const numberPattern = /^-?\d+(\.\d+)?([eE][+-]?\d+)?[LlMmDdFf]?/;
+    let i = 0;
+
+    // Read a quoted string starting at text[i], with '' as an escaped quote
+    const readString = start => {
+        let value = '';
+        i++;
+        while (i < text.length) {
+            if (text[i] === '\'') {
+                if (text[i + 1] !== '\'') {
+                    i++;
+                    return value;
+                }
+                i++;
+            }
+            value += text[i++];
+        }
+        throw filterSyntaxError('Unterminated text value (missing closing \')', start);
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        const start = i;
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')' || ch === ',') {
+            i++;
+            tokens.push({ type: ch === '(' ? 'open' : ch === ')' ? 'close' : 'comma', value: ch, start, end: i });
+        } else if (ch === '\'') {
+            const value = readString(start);
+            tokens.push({ type: 'string', value, start, end: i });
+        } else if (numberPattern.test(text.slice(i))) {
+            const value = text.slice(i).match(numberPattern)[0];
+            i += value.length;
+            tokens.push({ type: 'number', value, start, end: i });
+        } else if (identifierPattern.test(text.slice(i))) {
+            const value = text.slice(i).match(identifierPattern)[0];
+            i += value.length;
+
+            if (text[i] === '\'' && ODATA_TYPED_LITERALS.includes(value.toLowerCase())) {
+                const literal = readString(i);
+                tokens.push({ type: 'literal', kind: value.toLowerCase(), value: literal, start, end: i });
+            } else {
+                tokens.push({ type: 'identifier', value, start, end: i });
+            }
+        } else {
+            throw filterSyntaxError(`Unexpected character "${ch}"`, start);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a filter expression into an expression tree
+ *
+ * Throws an Error with a `position` when the expression isn't valid OData.
+ */
+function parseFilter(text) {
+    const tokens = tokenizeFilter(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isKeyword = (token, words) => token && token.type === 'identifier' && words.includes(token.value);
+    const binary = (operator, left, right) => ({ type: 'binary', operator, left, right, start: left.start, end: right.end });
+
+    const parseBinary = (operators, parseOperand) => () => {
+        let left = parseOperand();
+        while (isKeyword(peek(), operators)) {
+            const operator = tokens[pos++].value;
+            left = binary(operator, left, parseOperand());
+        }
+        return left;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (!token) {
+            throw filterSyntaxError('Filter ends unexpectedly', text.length);
+        }
+
+        switch (token.type) {
+            case 'open': {
+                const expression = parseOr();
+                const close = tokens[pos++];
+                if (!close || close.type !== 'close') {
+                    throw filterSyntaxError('Missing closing parenthesis', close ? close.start : text.length);
+                }
+                return { ...expression, start: token.start, end: close.end };
+            }
+            case 'string':
+                return { type: 'literal', kind: 'string', value: token.value, start: token.start, end: token.end };
+            case 'number':
+                return { type: 'literal', kind: 'number', value: token.value, start: token.start, end: token.end };
+            case 'literal':
+                return { type: 'literal', kind: token.kind, value: token.value, start: token.start, end: token.end };
+            case 'identifier':
+                if (token.value === 'true' || token.value === 'false') {
+                    return { type: 'literal', kind: 'boolean', value: token.value, start: token.start, end: token.end };
+                }
+                if (token.value === 'null') {
+                    return { type: 'literal', kind: 'null', value: 'null', start: token.start, end: token.end };
+                }
+                if (peek() && peek().type === 'open') {
+                    return parseCall(token);
+                }
+                if (['and', 'or', 'not', 'in', 'add', 'sub', 'mul', 'div', 'mod', ...ODATA_COMPARISON_OPERATORS].includes(token.value)) {
+                    throw filterSyntaxError(`Expected a field or value before "${token.value}"`, token.start);
+                }
+                return { type: 'member', name: token.value, start: token.start, end: token.end };
+            default:
+                throw filterSyntaxError(`Unexpected "${token.value}"`, token.start);
+        }
+    };
+
+    const parseCall = nameToken => {
+        const args = [];
+        pos++; // (
+        if (peek() && peek().type === 'close') {
+            pos++;
+        } else {
+            for (;;) {
+                args.push(parseOr());
+                const token = tokens[pos++];
+                if (token && token.type === 'close') break;
+                if (!token || token.type !== 'comma') {
+                    throw filterSyntaxError(`Missing closing parenthesis after ${nameToken.value}(`, token ? token.start : text.length);
+                }
+            }
+        }
+        return { type: 'call', name: nameToken.value, args, start: nameToken.start, end: tokens[pos - 1].end };
+    };
+
+    const parseList = () => {
+        const open = tokens[pos++];
+        if (!open || open.type !== 'open') {
+            throw filterSyntaxError('Expected a list in parentheses after "in"', open ? open.start : text.length);
+        }
+        const items = [];
+        for (;;) {
+            items.push(parsePrimary());
+            const token = tokens[pos++];
+            if (token && token.type === 'close') {
+                return { type: 'list', items, start: open.start, end: token.end };
+            }
+            if (!token || token.type !== 'comma') {
+                throw filterSyntaxError('Missing closing parenthesis after the "in" list', token ? token.start : text.length);
+            }
+        }
+    };
+
+    const parseMultiplicative = parseBinary(['mul', 'div', 'mod'], parsePrimary);
+    const parseAdditive = parseBinary(['add', 'sub'], parseMultiplicative);
+
+    const parseComparison = () => {
+        const left = parseAdditive();
+        if (isKeyword(peek(), ODATA_COMPARISON_OPERATORS)) {
+            const operator = tokens[pos++].value;
+            return binary(operator, left, parseAdditive());
+        }
+        if (isKeyword(peek(), ['in'])) {
+            pos++;
+            return binary('in', left, parseList());
+        }
+        return left;
+    };
+
+    const parseNot = () => {
+        if (isKeyword(peek(), ['not'])) {
+            const token = tokens[pos++];
+            const operand = parseNot();
+            return { type: 'not', operand, start: token.start, end: operand.end };
+        }
+        return parseComparison();
+    };
+
+    const parseAnd = parseBinary(['and'], parseNot);
+    const parseOr = parseBinary(['or'], parseAnd);
+
+    if (!tokens.length) return null;
+
+    const expression = parseOr();
+    if (pos < tokens.length) {
+        throw filterSyntaxError(`Unexpected "${tokens[pos].value}"`, tokens[pos].start);
+    }
+    return expression;
+}
+
+/**
+ * Write a value as an OData 3.0 literal for a property of the given type
+ *
+ * Text is quoted (with ' doubled), numbers and booleans are bare, and
+ * dates become datetime'...'. `null` is the null literal, except for text
+ * fields where it is the word 'null'. When the type is unknown it is
+ * guessed from the value. Throws on invalid values.
+ */
+function formatFilterLiteral(value, type) {
+    let text = String(value).trim();
+    if (text === 'null' && type !== 'String') return 'null';
+
+    if (!type) {
+        if (/^-?\d+(\.\d+)?$/.test(text)) type = 'Int32';
+        else if (text === 'true' || text === 'false') type = 'Boolean';
+        else if (/^datetime'.*'$/.test(text) || /^\d{4}-\d{2}-\d{2}(T[\d:.]+)?$/.test(text)) type = 'DateTime';
+        else type = 'String';
+    }
+
+    if (ODATA_NUMERIC_TYPES.includes(type)) {
+        if (!/^-?\d+(\.\d+)?$/.test(text)) {
+            throw new Error(`"${text}" is not a number`);
+        }
+        return text;
+    }
+
+    if (type === 'Boolean') {
+        text = text.toLowerCase();
+        if (text !== 'true' && text !== 'false') {
+            throw new Error(`"${value}" is not true or false`);
+        }
+        return text;
+    }
+
+    if (type === 'DateTime') {
+        text = text.replace(/^datetime'(.*)'$/, '$1');
+        if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(text)) {
+            throw new Error(`"${value}" is not a date (use YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+        }
+        return `datetime'${text}'`;
+    }
+
+    // Text: accept values typed with their quotes already
+    if (/^'.*'$/.test(text) && text.length > 1) text = text.slice(1, -1).replace(/''/g, '\'');
+    return `'${text.replace(/'/g, '\'\'')}'`;
+}
+
+// OData 3.0 canonical functions
+const ODATA_FILTER_FUNCTIONS = [
+    'substringof', 'startswith', 'endswith', 'length', 'indexof', 'replace', 'substring',
+    'tolower', 'toupper', 'trim', 'concat',
+    'year', 'month', 'day', 'hour', 'minute', 'second',
+    'round', 'floor', 'ceiling', 'isof', 'cast'
+];
+
+/**
+ * Edit distance between two strings (Levenshtein)
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Find the closest valid name, or null when nothing is close
+ */
+function suggestName(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(candidate => {
+        const distance = getEditDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+}
+
+/**
+ * Visit every node of a parsed filter
+ */
+function walkFilter(node, visit) {
+    if (!node) return;
+    visit(node);
+    if (node.type === 'binary') {
+        walkFilter(node.left, visit);
+        walkFilter(node.right, visit);
+    } else if (node.type === 'not') {
+        walkFilter(node.operand, visit);
+    } else if (node.type === 'call') {
+        node.args.forEach(arg => walkFilter(arg, visit));
+    } else if (node.type === 'list') {
+        node.items.forEach(item => walkFilter(item, visit));
+    }
+}
+
+/**
+ * Check a filter against an entity's schema
+ *
+ * `entitySets` maps entity names to { properties, navigationProperties }
+ * (the $metadata model's entitySets, or the builder's entity config).
+ * Field paths through navigation properties (Sagsstatus/status) are
+ * checked against the related entity.
+ *
+ * Returns { expression, issues } where each issue is
+ * { message, start, end, name, suggestion }. A syntax error is reported
+ * as a single issue. Function names and OData 4 syntax are left to the
+ * query linter.
+ */
+function validateFilter(text, entityName, entitySets) {
+    let expression;
+    try {
+        expression = parseFilter(text);
+    } catch (error) {
+        const position = error.position || 0;
+        return { expression: null, issues: [{ message: error.message, start: position, end: position + 1, name: null, suggestion: null }] };
+    }
+
+    const issues = [];
+    const entitySet = entitySets[entityName];
+    if (!entitySet) return { expression, issues };
+
+    walkFilter(expression, node => {
+        if (node.type !== 'member') return;
+
+        // Walk the path segment by segment: navigations first, then a field
+        let current = entitySet;
+        let currentName = entityName;
+        let offset = node.start;
+        const segments = node.name.split('/');
+        segments.forEach((segment, index) => {
+            if (!current) return;
+            const last = index === segments.length - 1;
+            const navigation = (current.navigationProperties || []).find(nav => nav.name === segment);
+            const property = current.properties.find(p => p.name === segment);
+
+            if (!last && navigation) {
+                current = entitySets[navigation.target];
+                currentName = navigation.target;
+            } else if (last && property) {
+                current = null;
+            } else {
+                const candidates = last
+                    ? current.properties.map(p => p.name)
+                    : (current.navigationProperties || []).map(nav => nav.name);
+                issues.push({
+                    message: `${currentName} has no ${last ? 'field' : 'relation'} named "${segment}"`,
+                    start: offset,
+                    end: offset + segment.length,
+                    name: segment,
+                    suggestion: suggestName(segment, candidates)
+                });
+                current = null;
+            }
+            offset += segment.length + 1;
+        });
+    });
+
+    return { expression, issues };
+}
@@ -0,0 +1,231 @@
+/**
+ * Danish Parliament API Documentation - OData Metadata Loader
+ *
+ * Loads the OData 3.0 $metadata (EDMX) document and parses it into a
+ * schema model shared by the interactive features:
+ *
+ *   {
+ *     source: 'network' | 'cache' | 'snapshot',
+ *     loadedAt: timestamp,
+ *     entitySets: {
+ *       Sag: {
+ *         name: 'Sag',
+ *         key: ['id'],
+ *         properties: [{ name: 'titel', type: 'String', nullable: true }, ...],
+ *         navigationProperties: [{ name: 'Sagsstatus', target: 'Sagsstatus', multiplicity: '1' }, ...]
+ *       }
+ *     }
+ *   }
+ *
+ * The parsed model is cached in localStorage; the bundled snapshot in
+ * metadata-snapshot.js is used when the network is unavailable.
+ */
+
+const METADATA_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const METADATA_STORAGE_KEY = 'oda-docs-metadata';
+const METADATA_TIMEOUT = 6000;
+
+// Loaded (or loading) models per base URL
+const metadataModels = new Map();
+
+/**
+ * Parse an EDMX document into entity sets
+ */
+function parseEdmx(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Invalid $metadata document');
+    }
+
+    const byTag = (root, tag) => Array.from(root.getElementsByTagNameNS('*', tag));
+
+    // Entity types and associations are referenced by namespace-qualified name
+    const entityTypes = {};
+    const associations = {};
+    byTag(doc, 'Schema').forEach(schema => {
+        const namespace = schema.getAttribute('Namespace');
+
+        byTag(schema, 'EntityType').forEach(type => {
+            entityTypes[`${namespace}.${type.getAttribute('Name')}`] = type;
+        });
+
+        byTag(schema, 'Association').forEach(association => {
+            const ends = {};
+            byTag(association, 'End').forEach(end => {
+                ends[end.getAttribute('Role')] = {
+                    type: end.getAttribute('Type'),
+                    multiplicity: end.getAttribute('Multiplicity')
+                };
+            });
+            associations[`${namespace}.${association.getAttribute('Name')}`] = ends;
+        });
+    });
+
+    const sets = byTag(doc, 'EntitySet').map(set => ({
+        name: set.getAttribute('Name'),
+        type: set.getAttribute('EntityType')
+    }));
+    const setByType = {};
+    sets.forEach(set => { setByType[set.type] = set.name; });
+
+    const entitySets = {};
+    sets.forEach(set => {
+        const typeEl = entityTypes[set.type];
+        if (!typeEl) return;
+
+        entitySets[set.name] = {
+            name: set.name,
+            key: byTag(typeEl, 'PropertyRef').map(ref => ref.getAttribute('Name')),
+            properties: byTag(typeEl, 'Property').map(property => ({
+                name: property.getAttribute('Name'),
+                type: (property.getAttribute('Type') || '').replace(/^Edm\./, ''),
+                nullable: property.getAttribute('Nullable') !== 'false'
+            })),
+            navigationProperties: byTag(typeEl, 'NavigationProperty').map(nav => {
+                const ends = associations[nav.getAttribute('Relationship')] || {};
+                const end = ends[nav.getAttribute('ToRole')] || {};
+                return {
+                    name: nav.getAttribute('Name'),
+                    target: setByType[end.type] || (end.type || '').split('.').pop(),
+                    multiplicity: end.multiplicity || '*'
+                };
+            })
+        };
+    });
+
+    if (!Object.keys(entitySets).length) {
+        throw new Error('No entity sets found in $metadata');
+    }
+
+    return { entitySets };
+}
+
+/**
+ * Expand the bundled snapshot into the shared model shape
+ */
+function getSnapshotModel() {
+    const entitySets = {};
+
+    Object.entries(ODA_METADATA_SNAPSHOT).forEach(([name, entry]) => {
+        entitySets[name] = {
+            name,
+            key: ['id'],
+            properties: entry.properties.map(property => {
+                const [propertyName, type] = property.split(':');
+                return { name: propertyName, type, nullable: propertyName !== 'id' };
+            }),
+            navigationProperties: entry.navigation.map(([navName, target, multiplicity]) => ({
+                name: navName, target, multiplicity
+            }))
+        };
+    });
+
+    return { source: 'snapshot', loadedAt: null, entitySets };
+}
+
+/**
+ * Fetch and parse $metadata from the network, updating the cache
+ */
+async function refreshOdaMetadata(baseUrl = getApiBaseUrl()) {
+    const startTime = performance.now();
+    const response = await fetchWithTimeout(`${baseUrl}/%24metadata`, {
+        headers: { Accept: 'application/xml' }
+    }, METADATA_TIMEOUT);
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const parsed = parseEdmx(await response.text());
+    const model = {
+        source: 'network',
+        loadedAt: Date.now(),
+        latency: Math.round(performance.now() - startTime),
+        entitySets: parsed.entitySets
+    };
+
+    try {
+        localStorage.setItem(`${METADATA_STORAGE_KEY}:${baseUrl}`, JSON.stringify(model));
+    } catch (error) {
+        console.warn('Could not cache $metadata:', error);
+    }
+
+    metadataModels.set(baseUrl, Promise.resolve(model));
+    return model;
+}
+
+/**
+ * Load the schema model for a base URL
+ *
+ * Uses the in-memory model, then a fresh localStorage copy, then the
+ * network, and finally the bundled snapshot. Never rejects.
+ */
+function loadOdaMetadata(baseUrl = getApiBaseUrl()) {
+    if (metadataModels.has(baseUrl)) {
+        return metadataModels.get(baseUrl);
+    }
+
+    const loading = (async () => {
+        try {
+            const cached = JSON.parse(localStorage.getItem(`${METADATA_STORAGE_KEY}:${baseUrl}`));
+            if (cached && Date.now() - cached.loadedAt < METADATA_TTL) {
+                return { ...cached, source: 'cache' };
+            }
+        } catch (error) {
+            // Unreadable cache - load from the network instead
+        }
+
+        try {
+            return await refreshOdaMetadata(baseUrl);
+        } catch (error) {
+            console.warn('Could not load $metadata, using bundled snapshot:', error);
+            return getSnapshotModel();
+        }
+    })();
+
+    metadataModels.set(baseUrl, loading);
+    return loading;
+}
+
+/**
+ * Look up a property of an entity set, or null
+ */
+function getEntityProperty(model, entityName, propertyName) {
+    const entitySet = model.entitySets[entityName];
+    if (!entitySet) return null;
+    return entitySet.properties.find(property => property.name === propertyName) || null;
+}
+
+/**
+ * Look up a navigation property of an entity set, or null
+ */
+function getNavigationProperty(model, entityName, navigationName) {
+    const entitySet = model.entitySets[entityName];
+    if (!entitySet) return null;
+    return entitySet.navigationProperties.find(nav => nav.name === navigationName) || null;
+}
+
+/**
+ * Map an entity's ID fields to the entities they point at, e.g. for
+ * SagAktør { aktørid: 'Aktør', sagid: 'Sag', rolleid: 'SagAktørRolle' }
+ *
+ * A field is an ID field when it is a number named after a single-valued
+ * navigation property (sagid -> Sag, fraaktørid -> FraAktør). Pass
+ * `isTarget(entityName)` to keep only relations to some entities.
+ */
+function getReferenceFields(entityName, entitySets, isTarget = () => true) {
+    const entitySet = entitySets[entityName];
+    const fields = {};
+    if (!entitySet) return fields;
+
+    entitySet.properties.forEach(property => {
+        const match = property.name.match(/^(.+)id$/);
+        if (!match || !ODATA_NUMERIC_TYPES.includes(property.type)) return;
+        const nav = entitySet.navigationProperties.find(item => item.multiplicity !== '*'
+            && isTarget(item.target)
+            && item.name.toLowerCase().endsWith(match[1].toLowerCase()));
+        if (nav) fields[property.name] = nav.target;
+    });
+
+    return fields;
+}
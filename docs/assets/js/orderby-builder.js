@@ -0,0 +1,163 @@
+/**
+ * Danish Parliament API Documentation - $orderby Builder
+ *
+ * Edits $orderby as a list of sort columns, each with a direction, that
+ * can be dragged into order:
+ *
+ *   [{ field: 'dato', direction: 'desc' }, { field: 'id', direction: 'asc' }]
+ *
+ * serializes to `dato desc,id`. The column list and the Order By text
+ * field stay in sync both ways.
+ */
+
+/**
+ * Parse $orderby text into sort columns
+ */
+function parseOrderBy(text) {
+    return String(text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(.*?)(?:\s+(asc|desc))?$/i);
+        return { field: match[1].trim(), direction: (match[2] || 'asc').toLowerCase() };
+    });
+}
+
+/**
+ * Serialize sort columns as $orderby text (ascending is the default, so
+ * only desc is written)
+ */
+function serializeOrderBy(columns) {
+    return columns.map(column => (column.direction === 'desc' ? `${column.field} desc` : column.field)).join(',');
+}
+
+/**
+ * Wire a .orderby-builder element into a sort column editor
+ *
+ * Options: getProperties() - properties of the selected entity, and
+ * onChange(orderbyText) - called whenever the columns change.
+ * Returns { setOrderBy, getOrderBy, refresh }.
+ */
+function createOrderByBuilder(container, options = {}) {
+    const getProperties = options.getProperties || (() => []);
+    const onChange = options.onChange || (() => {});
+
+    const list = container.querySelector('.orderby-columns');
+    const addButton = container.querySelector('.orderby-add-btn');
+
+    let columns = [];
+    let dragIndex = null;
+
+    // The controls sit inside the builder form; keep them out of its input handling
+    container.addEventListener('input', e => e.stopPropagation());
+
+    addButton.addEventListener('click', () => {
+        const used = columns.map(column => column.field);
+        const property = getProperties().find(item => !used.includes(item.name));
+        if (!property) return;
+        columns.push({ field: property.name, direction: 'asc' });
+        changed();
+    });
+
+    list.addEventListener('change', e => {
+        if (!e.target.matches('.orderby-field')) return;
+        columns[e.target.dataset.index].field = e.target.value;
+        changed();
+    });
+
+    list.addEventListener('click', e => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+        const index = Number(btn.dataset.index);
+        if (btn.classList.contains('orderby-direction')) {
+            columns[index].direction = columns[index].direction === 'desc' ? 'asc' : 'desc';
+            changed();
+        } else if (btn.classList.contains('orderby-remove')) {
+            columns.splice(index, 1);
+            changed();
+        }
+    });
+
+    // Drag rows to reorder; Alt+arrow keys on the handle do the same
+    list.addEventListener('dragstart', e => {
+        const row = e.target.closest('.orderby-column');
+        if (!row) return;
+        dragIndex = Number(row.dataset.index);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(dragIndex));
+    });
+    list.addEventListener('dragover', e => {
+        if (dragIndex !== null && e.target.closest('.orderby-column')) e.preventDefault();
+    });
+    list.addEventListener('drop', e => {
+        const row = e.target.closest('.orderby-column');
+        if (!row || dragIndex === null) return;
+        e.preventDefault();
+        move(dragIndex, Number(row.dataset.index));
+        dragIndex = null;
+    });
+    list.addEventListener('dragend', () => {
+        dragIndex = null;
+    });
+    list.addEventListener('keydown', e => {
+        if (!e.target.matches('.orderby-handle') || !e.altKey || !['ArrowUp', 'ArrowDown'].includes(e.key)) return;
+        e.preventDefault();
+        const index = Number(e.target.dataset.index);
+        const to = index + (e.key === 'ArrowUp' ? -1 : 1);
+        if (to < 0 || to >= columns.length) return;
+        move(index, to);
+        list.querySelector(`.orderby-handle[data-index="${to}"]`).focus();
+    });
+
+    render();
+
+    function move(from, to) {
+        if (to < 0 || to >= columns.length || from === to) return;
+        const [column] = columns.splice(from, 1);
+        columns.splice(to, 0, column);
+        changed();
+    }
+
+    function changed() {
+        render();
+        onChange(getOrderBy());
+    }
+
+    function getOrderBy() {
+        return serializeOrderBy(columns);
+    }
+
+    /**
+     * Follow $orderby text typed elsewhere
+     */
+    function setOrderBy(text) {
+        columns = parseOrderBy(text);
+        render();
+    }
+
+    function refresh() {
+        render();
+    }
+
+    function render() {
+        const properties = getProperties();
+
+        list.innerHTML = columns.map((column, index) => {
+            const known = properties.some(property => property.name === column.field);
+            return `
+                <li class="orderby-column" draggable="true" data-index="${index}">
+                    <button type="button" class="orderby-handle" data-index="${index}" title="Drag, or Alt+arrow keys, to reorder">⠿</button>
+                    <select class="orderby-field" data-index="${index}">
+                        ${known ? '' : `<option value="${escapeHtml(column.field)}" selected>${escapeHtml(column.field)}</option>`}
+                        ${properties.map(property => `
+                            <option value="${escapeHtml(property.name)}" ${property.name === column.field ? 'selected' : ''}>${escapeHtml(property.name)} (${escapeHtml(property.type)})</option>
+                        `).join('')}
+                    </select>
+                    <button type="button" class="orderby-direction" data-index="${index}" title="Switch between ascending and descending">
+                        ${column.direction === 'desc' ? '↓ desc' : '↑ asc'}
+                    </button>
+                    <button type="button" class="orderby-remove" data-index="${index}" title="Remove">×</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    return { setOrderBy, getOrderBy, refresh };
+}
@@ -0,0 +1,275 @@
+/**
+ * Danish Parliament API Documentation - API Client Export
+ *
+ * Turns builder queries ({ name, url }) into files API clients import:
+ * a Postman v2.1 collection, an Insomnia v4 export and an OpenAPI 3
+ * `paths` fragment with each OData option documented as a parameter.
+ *
+ * Query parameters are written already encoded (`%24filter`) because
+ * ODA needs `$` encoded and the clients would otherwise send it as is.
+ */
+
+const POSTMAN_SCHEMA_URL = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// How each OData option is documented in the OpenAPI fragment
+const ODATA_OPTION_PARAMETERS = {
+    $filter: { description: 'OData 3.0 filter expression', schema: { type: 'string' } },
+    $expand: { description: 'Navigation properties to include, comma-separated (at most two levels deep)', schema: { type: 'string' } },
+    $select: { description: 'Fields to return, comma-separated', schema: { type: 'string' } },
+    $orderby: { description: 'Sort order, e.g. "dato desc, id"', schema: { type: 'string' } },
+    $top: { description: 'Number of records to return (capped at 100)', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+    $skip: { description: 'Number of records to skip, for paging', schema: { type: 'integer', minimum: 0 } },
+    $inlinecount: { description: 'Set to allpages to get the total count in odata.count', schema: { type: 'string', enum: ['allpages', 'none'] } },
+    $format: { description: 'Response format', schema: { type: 'string', enum: ['json', 'xml'] } }
+};
+
+/**
+ * Break queries into the parts the exporters need
+ *
+ * Returns [{ name, url, baseUrl, entity, key, params }] where params are
+ * [{ name, value }] in URL order. Queries that aren't ODA URLs are left out.
+ */
+function getExportQueries(queries) {
+    return queries.map(query => {
+        let parsed;
+        try {
+            parsed = parseOdaUrl(query.url);
+        } catch (error) {
+            return null;
+        }
+        if (!/^[\wæøåÆØÅ]+$/.test(parsed.entity)) return null;
+
+        const path = query.url.split(/[?#]/)[0];
+        return {
+            name: query.name || `${parsed.entity} query`,
+            url: query.url,
+            baseUrl: path.slice(0, path.lastIndexOf('/')),
+            entity: parsed.entity,
+            key: parsed.key,
+            params: Object.entries(parsed.params).map(([name, value]) => ({ name, value }))
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Encode a query parameter pair for a request URL
+ */
+function encodeExportParameter({ name, value }) {
+    return { key: encodeURIComponent(name), value: encodeURIComponent(value) };
+}
+
+/**
+ * Path segment for a query: Sag, or Sag(12345) for a single record
+ */
+function getExportPath(query) {
+    return `${encodeURIComponent(query.entity)}${query.key !== null ? `(${encodeURIComponent(query.key)})` : ''}`;
+}
+
+/**
+ * Build a Postman v2.1 collection
+ *
+ * The API root becomes the {{baseUrl}} collection variable.
+ */
+function buildPostmanCollection(queries, { name = 'Danish Parliament API (ODA)' } = {}) {
+    const exportQueries = getExportQueries(queries);
+    const baseUrl = exportQueries.length ? exportQueries[0].baseUrl : 'https://oda.ft.dk/api';
+
+    return {
+        info: {
+            name,
+            description: 'Queries exported from the ODA documentation query builder',
+            schema: POSTMAN_SCHEMA_URL
+        },
+        variable: [{ key: 'baseUrl', value: baseUrl }],
+        item: exportQueries.map(query => {
+            const host = query.baseUrl === baseUrl ? '{{baseUrl}}' : query.baseUrl;
+            const params = query.params.map(param => ({ ...encodeExportParameter(param), description: `${param.name}=${param.value}` }));
+            const search = params.map(param => `${param.key}=${param.value}`).join('&');
+            return {
+                name: query.name,
+                request: {
+                    method: 'GET',
+                    header: [{ key: 'Accept', value: 'application/json' }],
+                    url: {
+                        raw: `${host}/${getExportPath(query)}${search ? `?${search}` : ''}`,
+                        host: [host],
+                        path: [getExportPath(query)],
+                        query: params
+                    }
+                }
+            };
+        })
+    };
+}
+
+/**
+ * Build an Insomnia v4 export: a workspace, a base environment holding
+ * baseUrl and one request per query
+ *
+ * URL encoding is switched off per request since the parameters are
+ * already encoded.
+ */
+function buildInsomniaExport(queries, { name = 'Danish Parliament API (ODA)' } = {}) {
+    const exportQueries = getExportQueries(queries);
+    const baseUrl = exportQueries.length ? exportQueries[0].baseUrl : 'https://oda.ft.dk/api';
+    const now = Date.now();
+
+    return {
+        _type: 'export',
+        __export_format: 4,
+        __export_date: new Date(now).toISOString(),
+        __export_source: 'oda-docs.query-builder',
+        resources: [
+            {
+                _id: 'wrk_oda',
+                _type: 'workspace',
+                parentId: null,
+                name,
+                description: 'Queries exported from the ODA documentation query builder',
+                scope: 'collection'
+            },
+            {
+                _id: 'env_oda',
+                _type: 'environment',
+                parentId: 'wrk_oda',
+                name: 'Base Environment',
+                data: { baseUrl }
+            },
+            ...exportQueries.map((query, index) => ({
+                _id: `req_oda_${index + 1}`,
+                _type: 'request',
+                parentId: 'wrk_oda',
+                name: query.name,
+                method: 'GET',
+                url: `${query.baseUrl === baseUrl ? '{{ _.baseUrl }}' : query.baseUrl}/${getExportPath(query)}`,
+                parameters: query.params.map(param => {
+                    const encoded = encodeExportParameter(param);
+                    return { name: encoded.key, value: encoded.value, description: `${param.name}=${param.value}` };
+                }),
+                headers: [{ name: 'Accept', value: 'application/json' }],
+                body: {},
+                authentication: {},
+                settingEncodeUrl: false,
+                metaSortKey: -now + index
+            }))
+        ]
+    };
+}
+
+/**
+ * Turn a query name into a unique camelCase operationId
+ */
+function getOperationId(name, used) {
+    const ascii = name.replace(/æ/gi, 'ae').replace(/ø/gi, 'oe').replace(/å/gi, 'aa');
+    const words = ascii.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const base = words.map((word, index) => (index ? word[0].toUpperCase() + word.slice(1) : word.toLowerCase())).join('') || 'query';
+    let id = /^[0-9]/.test(base) ? `q${base}` : base;
+    for (let n = 2; used.has(id); n++) id = `${base}${n}`;
+    used.add(id);
+    return id;
+}
+
+/**
+ * Build an OpenAPI 3 `paths` fragment
+ *
+ * OpenAPI allows one GET per path, so queries on the same entity share an
+ * operation: the first names it, and every query's parameter values are
+ * kept as named examples.
+ */
+function buildOpenApiPaths(queries) {
+    const paths = {};
+    const usedIds = new Set();
+
+    getExportQueries(queries).forEach(query => {
+        const path = `/${query.entity}${query.key !== null ? '({key})' : ''}`;
+        const exampleId = getOperationId(query.name, usedIds);
+
+        if (!paths[path]) {
+            paths[path] = {
+                get: {
+                    operationId: exampleId,
+                    summary: query.name,
+                    description: `Query ${query.entity}${query.key !== null ? ' by key' : ''} with OData 3.0 options. Exported queries:\n`,
+                    tags: [query.entity],
+                    parameters: query.key !== null ? [{
+                        name: 'key',
+                        in: 'path',
+                        required: true,
+                        description: `${query.entity} id`,
+                        schema: { type: 'integer' }
+                    }] : [],
+                    responses: {
+                        200: { description: `${query.entity} records (JSON: { "odata.metadata", "value": [...] })` },
+                        400: { description: 'Invalid query, often with an empty body' }
+                    }
+                }
+            };
+        }
+
+        const operation = paths[path].get;
+        operation.description += `\n- ${query.name}: ${query.url}`;
+        if (query.key !== null) {
+            const keyParam = operation.parameters.find(param => param.in === 'path');
+            const key = /^\d+$/.test(query.key) ? parseInt(query.key, 10) : query.key;
+            keyParam.examples = { ...keyParam.examples, [exampleId]: { summary: query.name, value: key } };
+        }
+
+        query.params.forEach(({ name, value }) => {
+            let param = operation.parameters.find(item => item.in === 'query' && item.name === name);
+            if (!param) {
+                const documented = ODATA_OPTION_PARAMETERS[name] || { description: 'Query option', schema: { type: 'string' } };
+                param = { name, in: 'query', required: false, ...documented, examples: {} };
+                operation.parameters.push(param);
+            }
+            param.examples[exampleId] = { summary: query.name, value: param.schema.type === 'integer' && /^\d+$/.test(value) ? parseInt(value, 10) : value };
+        });
+    });
+
+    return { paths };
+}
+
+/**
+ * Serialize plain JSON data as YAML (block style, strings JSON-quoted)
+ */
+function toYaml(value, indent = '') {
+    const scalar = item => (typeof item === 'string' ? JSON.stringify(item) : String(item));
+    const isEmpty = item => (Array.isArray(item) ? !item.length : !Object.keys(item).length);
+
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object' && !isEmpty(item)
+            ? `${indent}- ${toYaml(item, `${indent}  `).trimStart()}`
+            : `${indent}- ${item && typeof item === 'object' ? (Array.isArray(item) ? '[]' : '{}') : scalar(item)}`)).join('\n');
+    }
+
+    return Object.entries(value).map(([key, item]) => {
+        const name = /^[A-Za-z_][\w.-]*$/.test(key) ? key : JSON.stringify(key);
+        if (item && typeof item === 'object') {
+            return isEmpty(item)
+                ? `${indent}${name}: ${Array.isArray(item) ? '[]' : '{}'}`
+                : `${indent}${name}:\n${toYaml(item, `${indent}  `)}`;
+        }
+        return `${indent}${name}: ${item === null ? 'null' : scalar(item)}`;
+    }).join('\n');
+}
+
+// Export formats offered in the query library
+const QUERY_EXPORT_FORMATS = {
+    postman: {
+        label: 'Postman',
+        filename: 'oda-queries.postman_collection.json',
+        mimeType: 'application/json',
+        build: queries => JSON.stringify(buildPostmanCollection(queries), null, 2)
+    },
+    insomnia: {
+        label: 'Insomnia',
+        filename: 'oda-queries.insomnia.json',
+        mimeType: 'application/json',
+        build: queries => JSON.stringify(buildInsomniaExport(queries), null, 2)
+    },
+    openapi: {
+        label: 'OpenAPI',
+        filename: 'oda-queries.openapi-paths.yaml',
+        mimeType: 'application/yaml',
+        build: queries => `${toYaml(buildOpenApiPaths(queries))}\n`
+    }
+};
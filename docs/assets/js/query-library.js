@@ -0,0 +1,228 @@
+/**
+ * Danish Parliament API Documentation - Query Library
+ *
+ * Keeps builder queries in localStorage across visits: an automatic
+ * history of queries built and tested, and a library of saved queries
+ * that can be named, tagged and starred. Saved queries are exchanged as
+ * JSON files:
+ *
+ *   { format: 'oda-docs-query-library', version: 1, exportedAt, queries: [...] }
+ *
+ * Each entry holds the builder state in its permalink encoding
+ * (`1.<base64url>`, see builder-state.js), so entries saved by older
+ * versions of the builder keep opening.
+ */
+
+const QUERY_LIBRARY_STORAGE_KEY = 'oda-docs-query-library';
+const QUERY_LIBRARY_FORMAT = 'oda-docs-query-library';
+const QUERY_LIBRARY_VERSION = 1;
+const QUERY_HISTORY_LIMIT = 50;
+
+/**
+ * Read the library ({ history, saved }, newest first)
+ */
+function readQueryLibrary() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(QUERY_LIBRARY_STORAGE_KEY)) || {};
+        return {
+            history: Array.isArray(stored.history) ? stored.history : [],
+            saved: Array.isArray(stored.saved) ? stored.saved : []
+        };
+    } catch (error) {
+        return { history: [], saved: [] };
+    }
+}
+
+/**
+ * Persist the library (storage may be full or disabled) and tell open
+ * builders to redraw their library view
+ */
+function writeQueryLibrary(library) {
+    try {
+        localStorage.setItem(QUERY_LIBRARY_STORAGE_KEY, JSON.stringify(library));
+    } catch (error) {
+        console.warn('Could not save the query library:', error);
+    }
+    document.dispatchEvent(new CustomEvent('oda-query-library-change'));
+}
+
+/**
+ * Split tag input ("votes, #2025 klima") into distinct tags
+ */
+function parseQueryTags(text) {
+    const tags = String(text || '').split(/[,\s]+/).map(tag => tag.replace(/^#/, '').trim()).filter(Boolean);
+    return Array.from(new Set(tags));
+}
+
+/**
+ * Create an entry for a builder state and its API URL
+ */
+function createQueryEntry(state, url) {
+    const now = new Date().toISOString();
+    return {
+        id: `q-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+        url,
+        entity: state.entity,
+        state: encodeBuilderState(state),
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Record a query in the history
+ *
+ * A query already in the history moves to the top instead of being
+ * repeated. `tested` marks runs from the Test button.
+ */
+function recordQueryHistory(state, url, { tested = false } = {}) {
+    const library = readQueryLibrary();
+    const previous = library.history.find(entry => entry.url === url);
+    const entry = { ...(previous || createQueryEntry(state, url)), state: encodeBuilderState(state), updatedAt: new Date().toISOString() };
+    if (tested) {
+        entry.runs = (entry.runs || 0) + 1;
+        entry.lastRunAt = entry.updatedAt;
+    }
+
+    library.history = [entry, ...library.history.filter(item => item !== previous)].slice(0, QUERY_HISTORY_LIMIT);
+    writeQueryLibrary(library);
+    return entry;
+}
+
+/**
+ * Clear the history, leaving saved queries alone
+ */
+function clearQueryHistory() {
+    writeQueryLibrary({ ...readQueryLibrary(), history: [] });
+}
+
+/**
+ * Add a query to the saved library
+ */
+function saveQuery(state, url, { name = '', tags = [], starred = false } = {}) {
+    const library = readQueryLibrary();
+    const entry = { ...createQueryEntry(state, url), name: name.trim() || `${state.entity} query`, tags, starred };
+    library.saved.unshift(entry);
+    writeQueryLibrary(library);
+    return entry;
+}
+
+/**
+ * Change a saved query's name, tags or star
+ */
+function updateSavedQuery(id, changes) {
+    const library = readQueryLibrary();
+    library.saved = library.saved.map(entry => (entry.id === id
+        ? { ...entry, ...changes, updatedAt: new Date().toISOString() }
+        : entry));
+    writeQueryLibrary(library);
+}
+
+/**
+ * Remove a saved query
+ */
+function removeSavedQuery(id) {
+    const library = readQueryLibrary();
+    library.saved = library.saved.filter(entry => entry.id !== id);
+    writeQueryLibrary(library);
+}
+
+/**
+ * Find entries matching search text
+ *
+ * Every word must match the name, entity or URL; `#tag` words match tags.
+ * Starred queries sort first.
+ */
+function searchQueries(entries, text, { starredOnly = false } = {}) {
+    const terms = String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    return entries
+        .filter(entry => !starredOnly || entry.starred)
+        .filter(entry => {
+            const tags = (entry.tags || []).map(tag => tag.toLowerCase());
+            let url = entry.url;
+            try {
+                url = decodeURIComponent(url);
+            } catch (error) {
+                // Search the encoded URL
+            }
+            const haystack = [entry.name || '', entry.entity || '', url, ...tags].join(' ').toLowerCase();
+            return terms.every(term => (term.startsWith('#') ? tags.includes(term.slice(1)) : haystack.includes(term)));
+        })
+        .sort((a, b) => Boolean(b.starred) - Boolean(a.starred));
+}
+
+/**
+ * Serialize saved queries for a JSON file
+ */
+function exportQueryLibrary(entries) {
+    return JSON.stringify({
+        format: QUERY_LIBRARY_FORMAT,
+        version: QUERY_LIBRARY_VERSION,
+        exportedAt: new Date().toISOString(),
+        queries: entries
+    }, null, 2);
+}
+
+/**
+ * Merge queries from an exported JSON file into the saved library
+ *
+ * Queries already in the library (same id) are replaced when the file's
+ * copy is newer. Queries without a URL or whose state can't be read are
+ * skipped. Returns { added, updated, skipped }; throws when the file
+ * isn't an export.
+ */
+function importQueryLibrary(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+    if (!data || data.format !== QUERY_LIBRARY_FORMAT || !Array.isArray(data.queries)) {
+        throw new Error('The file is not an exported query library');
+    }
+
+    const library = readQueryLibrary();
+    const result = { added: 0, updated: 0, skipped: 0 };
+
+    data.queries.forEach(query => {
+        if (!query || typeof query.url !== 'string' || !query.url) {
+            result.skipped++;
+            return;
+        }
+
+        let state;
+        try {
+            state = decodeBuilderState(query.state);
+        } catch (error) {
+            result.skipped++;
+            return;
+        }
+
+        const entry = {
+            id: typeof query.id === 'string' ? query.id : createQueryEntry(state, query.url).id,
+            url: query.url,
+            entity: state.entity,
+            // Re-encoded from the checked state, so malformed chips are dropped
+            state: encodeBuilderState(state),
+            name: typeof query.name === 'string' && query.name.trim() ? query.name.trim() : `${state.entity} query`,
+            tags: Array.isArray(query.tags) ? parseQueryTags(query.tags.join(',')) : [],
+            starred: Boolean(query.starred),
+            createdAt: query.createdAt || new Date().toISOString(),
+            updatedAt: query.updatedAt || new Date().toISOString()
+        };
+
+        const index = library.saved.findIndex(item => item.id === entry.id);
+        if (index === -1) {
+            library.saved.push(entry);
+            result.added++;
+        } else if (entry.updatedAt > library.saved[index].updatedAt) {
+            library.saved[index] = entry;
+            result.updated++;
+        }
+    });
+
+    writeQueryLibrary(library);
+    return result;
+}
@@ -0,0 +1,190 @@
+/**
+ * Danish Parliament API Documentation - Query Linter
+ *
+ * Rules for queries that ODA accepts but quietly mishandles, or rejects
+ * with unhelpful errors. Rules look at a query's decoded parameters
+ * ({ $top: '500', $filter: '...' }) and report warnings:
+ *
+ *   { rule, severity: 'error' | 'warning', message, docs, fix }
+ *
+ * `docs` is a docs page path and `fix(params)`, where a rule has one,
+ * returns corrected parameters.
+ */
+
+const ODA_MAX_TOP = 100;
+const ODA_MAX_EXPAND_SEGMENTS = 2; // e.g. SagAktør/Aktør
+
+// OData 3.0 functions that ODA does not implement (see the filters page)
+const ODA_UNSUPPORTED_FUNCTIONS = ['tolower', 'toupper', 'length', 'indexof'];
+
+/**
+ * Replace ranges of a filter, given as [{ start, end, text }]
+ */
+function rewriteFilter(text, replacements) {
+    return replacements
+        .slice()
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, replacement) => result.slice(0, replacement.start) + replacement.text + result.slice(replacement.end), text);
+}
+
+/**
+ * Collect the filter nodes a rule is interested in (none when the filter
+ * doesn't parse - syntax errors are reported by the filter validation)
+ */
+function findFilterNodes(filter, predicate) {
+    if (!filter) return [];
+    let expression;
+    try {
+        expression = parseFilter(filter);
+    } catch (error) {
+        return [];
+    }
+
+    const nodes = [];
+    walkFilter(expression, node => {
+        if (predicate(node)) nodes.push(node);
+    });
+    return nodes;
+}
+
+const QUERY_LINT_RULES = [
+    {
+        id: 'top-limit',
+        severity: 'warning',
+        docs: 'api-reference/odata/pagination/#top-parameter-record-limit',
+        check(params) {
+            const top = parseInt(params.$top, 10);
+            if (!(top > ODA_MAX_TOP)) return [];
+            return [{
+                message: `$top=${top} is silently capped at ${ODA_MAX_TOP} - you will get ${ODA_MAX_TOP} rows. Page through the rest with $skip.`,
+                fix: p => ({ ...p, $top: String(ODA_MAX_TOP) })
+            }];
+        }
+    },
+    {
+        id: 'expand-depth',
+        severity: 'error',
+        docs: 'api-reference/odata/expansion/#maximum-depth-two-levels',
+        check(params) {
+            if (!params.$expand) return [];
+            const tooDeep = params.$expand.split(',').map(path => path.trim())
+                .filter(path => path.split('/').length > ODA_MAX_EXPAND_SEGMENTS);
+            if (!tooDeep.length) return [];
+
+            return [{
+                message: `$expand ${tooDeep.join(', ')} nests more than two levels deep; ODA answers that with an empty HTTP 400.`,
+                fix: p => {
+                    const paths = p.$expand.split(',').map(path => path.trim().split('/').slice(0, ODA_MAX_EXPAND_SEGMENTS).join('/'));
+                    return { ...p, $expand: Array.from(new Set(paths)).join(',') };
+                }
+            }];
+        }
+    },
+    {
+        id: 'unstable-paging',
+        severity: 'warning',
+        docs: 'api-reference/odata/pagination/#stable-ordering',
+        check(params) {
+            if (!(parseInt(params.$skip, 10) > 0)) return [];
+            const columns = parseOrderBy(params.$orderby);
+            if (columns.some(column => column.field === 'id')) return [];
+
+            return [{
+                message: columns.length
+                    ? `Paging with $skip ordered only by ${columns.map(column => column.field).join(', ')} can repeat or miss records between pages, since ties have no fixed order. Add id as a final tie-breaker.`
+                    : 'Paging with $skip without $orderby has no guaranteed order, so records can repeat or go missing between pages. Order by id.',
+                fix: p => ({ ...p, $orderby: serializeOrderBy([...parseOrderBy(p.$orderby), { field: 'id', direction: 'asc' }]) })
+            }];
+        }
+    },
+    {
+        id: 'odata4-parameter',
+        severity: 'error',
+        docs: 'api-reference/odata/unsupported/',
+        check(params) {
+            return ['$search', '$apply', '$compute'].filter(name => params[name] !== undefined).map(name => ({
+                message: `${name} is OData 4 and ODA only speaks OData 3.0 - the request fails.${name === '$search' ? ' Search text with substringof() in $filter instead.' : ''}`,
+                fix: p => {
+                    const fixed = { ...p };
+                    delete fixed[name];
+                    return fixed;
+                }
+            }));
+        }
+    },
+    {
+        id: 'in-operator',
+        severity: 'error',
+        docs: 'api-reference/odata/filters/#logical-operators',
+        check(params) {
+            const nodes = findFilterNodes(params.$filter, node => node.type === 'binary' && node.operator === 'in');
+            if (!nodes.length) return [];
+
+            return [{
+                message: '"in" is OData 4 and not available in ODA\'s OData 3.0 - write it as an "or" chain.',
+                fix: p => ({
+                    ...p,
+                    $filter: rewriteFilter(p.$filter, nodes.map(node => {
+                        const field = p.$filter.slice(node.left.start, node.left.end);
+                        const chain = node.right.items.map(item => `${field} eq ${p.$filter.slice(item.start, item.end)}`);
+                        return {
+                            start: node.start,
+                            end: node.end,
+                            text: chain.length > 1 ? `(${chain.join(' or ')})` : chain[0]
+                        };
+                    }))
+                })
+            }];
+        }
+    },
+    {
+        id: 'contains-function',
+        severity: 'error',
+        docs: 'api-reference/odata/filters/#unsupported-functions-odata-40',
+        check(params) {
+            const nodes = findFilterNodes(params.$filter, node => node.type === 'call' && node.name === 'contains' && node.args.length === 2);
+            if (!nodes.length) return [];
+
+            return [{
+                message: 'contains() is OData 4 - use substringof(\'text\', field), which takes its arguments the other way round.',
+                fix: p => ({
+                    ...p,
+                    $filter: rewriteFilter(p.$filter, nodes.map(node => {
+                        const [field, value] = node.args.map(arg => p.$filter.slice(arg.start, arg.end));
+                        return { start: node.start, end: node.end, text: `substringof(${value}, ${field})` };
+                    }))
+                })
+            }];
+        }
+    },
+    {
+        id: 'unsupported-function',
+        severity: 'error',
+        docs: 'api-reference/odata/filters/#unsupported-functions-odata-40',
+        check(params) {
+            const nodes = findFilterNodes(params.$filter, node => node.type === 'call' && node.name !== 'contains'
+                && (!ODATA_FILTER_FUNCTIONS.includes(node.name) || ODA_UNSUPPORTED_FUNCTIONS.includes(node.name)));
+
+            return Array.from(new Set(nodes.map(node => node.name))).map(name => {
+                if (ODA_UNSUPPORTED_FUNCTIONS.includes(name)) {
+                    return { message: `${name}() is OData 3.0 but ODA does not support it.` };
+                }
+                const suggestion = suggestName(name, ODATA_FILTER_FUNCTIONS);
+                return { message: `${name}() is not an OData 3.0 function.${suggestion ? ` Did you mean ${suggestion}()?` : ''}` };
+            });
+        }
+    }
+];
+
+/**
+ * Run every rule against a query's parameters
+ */
+function lintQuery(params) {
+    const warnings = [];
+    QUERY_LINT_RULES.forEach(rule => {
+        rule.check(params).forEach(result => {
+            warnings.push({ rule: rule.id, severity: rule.severity, docs: rule.docs, ...result });
+        });
+    });
+    return warnings;
+}
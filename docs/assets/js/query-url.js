@@ -0,0 +1,103 @@
+/**
+ * Danish Parliament API Documentation - Query URL Parsing
+ *
+ * Reads ODA query URLs back into their parts. URLs arrive encoded in
+ * every way people paste them: with a bare `$top`, with `%24top`, and
+ * double-encoded (`%2524top`, `%2527klima%2527`) after passing through
+ * tools that encode an already encoded URL.
+ */
+
+// Query options the builder form can hold
+const BUILDER_QUERY_OPTIONS = ['$filter', '$expand', '$select', '$orderby', '$top', '$skip', '$inlinecount', '$format'];
+
+/**
+ * Decode a URL component, undoing one extra round of encoding if the
+ * value was double-encoded
+ *
+ * Double encoding is recognised by an encoded %-escape of a character
+ * that appears in queries ($ ' space , ( ) / and the lead byte of æ, ø
+ * and å), so a value that merely contains a literal % decodes once.
+ */
+function decodeQueryComponent(value) {
+    const decoded = decodeURIComponent(value);
+    if (!/%25(24|27|20|2C|28|29|2F|C3)/i.test(value)) return decoded;
+
+    try {
+        return decodeURIComponent(decoded);
+    } catch (error) {
+        // A literal % next to double-encoded characters: decode just those
+        return decoded.replace(/%(24|27|20|2C|28|29|2F)/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+}
+
+/**
+ * Read the decoded query parameters of an API URL ({ $filter: '...' })
+ *
+ * A + is a space, as in URLs from HTML forms and Python's requests.
+ * Malformed parameters are left out; their names are pushed onto
+ * `malformed` when an array is given.
+ */
+function getUrlParameters(url, malformed = []) {
+    const params = {};
+    const query = url.split('#')[0].split('?').slice(1).join('?');
+    const decode = text => decodeQueryComponent(text.replace(/\+/g, ' '));
+    query.split('&').filter(Boolean).forEach(param => {
+        const [key, ...value] = param.split('=');
+        try {
+            params[decode(key)] = decode(value.join('='));
+        } catch (error) {
+            // Malformed escape sequence, e.g. an unencoded % in '100% sikker'
+            try {
+                malformed.push(decode(key));
+            } catch (keyError) {
+                malformed.push(key);
+            }
+        }
+    });
+    return params;
+}
+
+/**
+ * Read one decoded query parameter (e.g. '$filter') from an API URL
+ */
+function getUrlParameter(url, name) {
+    const params = getUrlParameters(url);
+    return params[name] !== undefined ? params[name] : null;
+}
+
+/**
+ * Split an ODA URL into entity, key and query parameters
+ *
+ * Accepts full URLs (https://oda.ft.dk/api/Sag?...), paths (/api/Sag?...)
+ * and bare entity queries (Sag?$top=5). Returns
+ * { entity, key, params, unsupported, malformed } where `unsupported`
+ * lists the parameters the builder can't hold and `malformed` those
+ * that couldn't be decoded. Throws when no entity is found.
+ */
+function parseOdaUrl(url) {
+    const text = url.trim();
+    const path = text.split(/[?#]/)[0].replace(/^[a-z]+:\/\/[^/]+/i, '');
+    const lastSegment = path.split('/').filter(Boolean).pop() || '';
+
+    let segment;
+    try {
+        segment = decodeQueryComponent(lastSegment);
+    } catch (error) {
+        segment = lastSegment;
+    }
+
+    const match = segment.match(/^([^(]+)(?:\((.*)\))?$/);
+    if (!match || match[1] === 'api' || match[1].startsWith('$')) {
+        throw new Error('No entity found in the URL - expected something like https://oda.ft.dk/api/Sag?%24top=5');
+    }
+
+    const malformed = [];
+    const params = getUrlParameters(text, malformed);
+    return {
+        entity: match[1],
+        key: match[2] !== undefined ? match[2] : null,
+        params,
+        unsupported: Object.keys(params).filter(name => !BUILDER_QUERY_OPTIONS.includes(name)),
+        malformed
+    };
+}
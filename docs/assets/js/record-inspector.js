@@ -0,0 +1,427 @@
+/**
+ * Danish Parliament API Documentation - Record Inspector
+ *
+ * Shows one record in full: its fields (with code names and links for ID
+ * fields), then one collapsible section per navigation property. A
+ * section loads when it is first opened, with its own request
+ * (Sag(12345)/SagAktør) that expands one level further. ODA refuses
+ * $expand deeper than two levels, so anything further away is reached
+ * by inspecting a related record in turn.
+ *
+ * Inspectors are placed with <div class="record-inspector"
+ * data-record="Sag(12345)"></div>. Any docs page opens one from its URL
+ * hash, which is how support answers link to real records:
+ *
+ *   .../any-page/#record=Sag(12345)
+ *
+ * The first inspector on the page follows the hash; pages without one
+ * get a side panel. Other hash parameters on the page are left alone.
+ */
+
+const RECORD_INSPECTOR_HASH_PARAM = 'record';
+const RECORD_INSPECTOR_PAGE_SIZE = 20;
+
+/**
+ * Read `Sag(12345)` or a record URL into { entity, key }
+ *
+ * Throws when there is no numeric key.
+ */
+function parseRecordReference(text) {
+    let parsed = null;
+    try {
+        parsed = parseOdaUrl(text);
+    } catch (error) {
+        // Reported below
+    }
+
+    const key = parsed && parsed.key !== null ? parsed.key.trim() : '';
+    if (!/^\d+$/.test(key)) {
+        throw new Error('Expected an entity and id, e.g. Sag(12345)');
+    }
+    return { entity: parsed.entity, key };
+}
+
+/**
+ * Format a record reference, e.g. Sag(12345)
+ */
+function formatRecordReference(entityName, key) {
+    return `${entityName}(${key})`;
+}
+
+/**
+ * The record reference in the page URL's hash, or null
+ */
+function readRecordReferenceFromLocation() {
+    return new URLSearchParams(window.location.hash.slice(1)).get(RECORD_INSPECTOR_HASH_PARAM);
+}
+
+/**
+ * Build a link to this page that opens the inspector on a record
+ */
+function getRecordInspectorLink(entityName, key) {
+    const url = new URL(window.location.href);
+    const hashParams = new URLSearchParams(url.hash.slice(1));
+    hashParams.set(RECORD_INSPECTOR_HASH_PARAM, formatRecordReference(entityName, key));
+    // Keep links readable: #record=Sag(12345) rather than Sag%2812345%29
+    url.hash = hashParams.toString().replace(/%28/g, '(').replace(/%29/g, ')');
+    return url.href;
+}
+
+/**
+ * URL of a record, or of one of its navigation properties
+ */
+function buildRecordUrl(baseUrl, entityName, key, navName, params = {}) {
+    const path = `${encodeURIComponent(entityName)}(${key})${navName ? `/${encodeURIComponent(navName)}` : ''}`;
+    const query = Object.entries(params)
+        .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+        .join('&');
+    return `${baseUrl}/${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * $expand for a navigation section: the related records' single-valued
+ * relations (SagAktør -> Aktør, SagAktørRolle), except those leading back
+ * to the inspected entity
+ */
+function getRecordSectionExpand(targetName, fromEntity, entitySets) {
+    const target = entitySets[targetName];
+    if (!target) return '';
+    return target.navigationProperties
+        .filter(nav => nav.multiplicity !== '*' && nav.target !== fromEntity)
+        .map(nav => nav.name)
+        .join(',');
+}
+
+/**
+ * The record in a single-record response, or null
+ *
+ * ODA answers a missing key with 404 or with an empty collection.
+ */
+function getResponseRecord(data) {
+    if (!data || typeof data !== 'object') return null;
+    if (Array.isArray(data.value)) return data.value[0] || null;
+    return data.id !== undefined ? data : null;
+}
+
+/**
+ * A record's title, e.g. its titel or navn, else `Sag 12345`
+ */
+function getRecordTitle(entityName, record, entitySets) {
+    const field = getCodeLookupLabelField(entitySets[entityName]);
+    const title = field ? record[field] : null;
+    return title ? String(title) : `${entityName} ${record.id}`;
+}
+
+/**
+ * Render a related record as a list item, with its expanded relations
+ */
+function renderRecordItem(entityName, record, entitySets) {
+    const inspectButton = (entity, item, text) => `<button type="button" class="record-inspect" data-entity="${escapeHtml(entity)}" data-key="${escapeHtml(String(item.id))}" title="Inspect ${escapeHtml(formatRecordReference(entity, item.id))}">${escapeHtml(text)}</button>`;
+    const entitySet = entitySets[entityName];
+    const relations = (entitySet ? entitySet.navigationProperties : [])
+        .filter(nav => nav.multiplicity !== '*' && record[nav.name] && record[nav.name].id !== undefined)
+        .map(nav => `<span class="record-item-relation">${escapeHtml(nav.name)}: ${inspectButton(nav.target, record[nav.name], getRecordTitle(nav.target, record[nav.name], entitySets))}</span>`);
+
+    return `
+        <li class="record-item">
+            ${inspectButton(entityName, record, getRecordTitle(entityName, record, entitySets))}
+            <small>#${escapeHtml(String(record.id))}</small>
+            ${relations.join(' ')}
+        </li>
+    `;
+}
+
+/**
+ * Turn a container into a record inspector
+ *
+ * Options: navigate(entity, key) - called to show another record (default:
+ * open it here), so the page inspector can go through the URL hash.
+ * Returns { open, openReference }.
+ */
+function createRecordInspector(container, options = {}) {
+    const baseUrl = getApiBaseUrl(container);
+    const navigate = options.navigate || open;
+    let controller = null;
+
+    container.innerHTML = `
+        <form class="record-inspector-form">
+            <input type="text" class="record-inspector-input" aria-label="Record to inspect" placeholder="Sag(12345)">
+            <button type="submit" class="record-inspector-load">🔍 Inspect</button>
+        </form>
+        <p class="record-inspector-status" aria-live="polite"></p>
+        <div class="record-inspector-output"></div>
+    `;
+
+    const input = container.querySelector('.record-inspector-input');
+    const statusEl = container.querySelector('.record-inspector-status');
+    const outputEl = container.querySelector('.record-inspector-output');
+
+    container.querySelector('.record-inspector-form').addEventListener('submit', e => {
+        e.preventDefault();
+        openReference(input.value, navigate);
+    });
+    outputEl.addEventListener('click', e => {
+        const inspectBtn = e.target.closest('.record-inspect');
+        if (inspectBtn) navigate(inspectBtn.dataset.entity, inspectBtn.dataset.key);
+    });
+
+    /**
+     * Open a typed reference, showing why when it can't be read
+     */
+    function openReference(text, show = open) {
+        let reference;
+        try {
+            reference = parseRecordReference(text);
+        } catch (error) {
+            showStatus(error.message, 'error');
+            return;
+        }
+        show(reference.entity, reference.key);
+    }
+
+    async function open(entityName, key) {
+        if (controller) controller.abort();
+        controller = new AbortController();
+        const signal = controller.signal;
+
+        input.value = formatRecordReference(entityName, key);
+        outputEl.innerHTML = '';
+        showStatus(`Loading ${formatRecordReference(entityName, key)}...`);
+
+        const { entitySets } = await loadOdaMetadata(baseUrl);
+        // Entity names are case-sensitive in the API, but be forgiving in links
+        const entity = entitySets[entityName] ? entityName
+            : Object.keys(entitySets).find(name => name.toLowerCase() === entityName.toLowerCase());
+        if (signal.aborted) return;
+        if (!entity) {
+            showStatus(`Unknown entity "${entityName}"`, 'error');
+            return;
+        }
+
+        const url = buildRecordUrl(baseUrl, entity, key);
+        const [result, describeCode] = await Promise.all([
+            runOdaQuery(url, { signal }),
+            loadCodeLabeller(entity, '', entitySets, baseUrl).catch(() => null)
+        ]);
+        if (signal.aborted) return;
+
+        if (result.networkError) {
+            showStatus('The request could not be made from this browser (offline, blocked or refused).', 'error');
+            return;
+        }
+        const record = getResponseRecord(result.data);
+        if (!record && (result.ok || result.httpStatus === 404)) {
+            showStatus(`There is no ${entity} with id ${key}.`, 'error');
+            return;
+        }
+        if (!record) {
+            showStatus(getOdataErrorMessage(result), 'error');
+            return;
+        }
+
+        showStatus('');
+        render(entity, key, record, url, entitySets, describeCode, signal);
+    }
+
+    function render(entity, key, record, url, entitySets, describeCode, signal) {
+        const entitySet = entitySets[entity];
+        const referenceFields = getReferenceFields(entity, entitySets);
+
+        const fieldRows = entitySet.properties.map(property => {
+            const value = record[property.name];
+            let valueHtml;
+            if (value === null || value === undefined) {
+                valueHtml = '<span class="record-null">null</span>';
+            } else if (referenceFields[property.name]) {
+                valueHtml = `<button type="button" class="record-inspect" data-entity="${escapeHtml(referenceFields[property.name])}" data-key="${escapeHtml(String(value))}" title="Inspect ${escapeHtml(formatRecordReference(referenceFields[property.name], value))}">${escapeHtml(String(value))}</button>`;
+            } else {
+                valueHtml = escapeHtml(String(value));
+            }
+            const label = describeCode && value !== null && value !== undefined ? describeCode(property.name, value) : null;
+            return `
+                <tr>
+                    <th scope="row">${escapeHtml(property.name)}</th>
+                    <td>${valueHtml}${label ? ` <span class="record-code-label">${escapeHtml(label)}</span>` : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        outputEl.innerHTML = `
+            <div class="record-header">
+                <h4>${escapeHtml(getRecordTitle(entity, record, entitySets))}</h4>
+                <code>${escapeHtml(formatRecordReference(entity, key))}</code>
+                <button type="button" class="record-inspector-copy">🔗 Copy link</button>
+                <a class="record-inspector-raw" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">Raw JSON</a>
+            </div>
+            <table class="record-fields"><tbody>${fieldRows}</tbody></table>
+            <div class="record-sections">
+                ${entitySet.navigationProperties.map(nav => `
+                    <details class="record-section" data-nav="${escapeHtml(nav.name)}">
+                        <summary>
+                            ${escapeHtml(nav.name)}
+                            <small>${escapeHtml(nav.multiplicity === '*' ? `${nav.target} records` : nav.target)}</small>
+                            <span class="record-section-count"></span>
+                        </summary>
+                        <div class="record-section-body"></div>
+                    </details>
+                `).join('')}
+            </div>
+        `;
+
+        const copyBtn = outputEl.querySelector('.record-inspector-copy');
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(getRecordInspectorLink(entity, key));
+                copyBtn.textContent = '✅ Copied!';
+                setTimeout(() => copyBtn.textContent = '🔗 Copy link', 2000);
+            } catch (error) {
+                console.error('Failed to copy record link:', error);
+            }
+        });
+
+        outputEl.querySelectorAll('.record-section').forEach(section => {
+            const nav = entitySet.navigationProperties.find(item => item.name === section.dataset.nav);
+            let loaded = null;
+            section.addEventListener('toggle', () => {
+                if (section.open && loaded === null) {
+                    loaded = 0;
+                    loadSection(section, nav, 0);
+                }
+            });
+
+            // Loads a page of the section; failures can be retried by reopening it
+            async function loadSection(sectionEl, navigation, skip) {
+                const bodyEl = sectionEl.querySelector('.record-section-body');
+                const isCollection = navigation.multiplicity === '*';
+                const sectionUrl = buildRecordUrl(baseUrl, entity, key, navigation.name, {
+                    $expand: getRecordSectionExpand(navigation.target, entity, entitySets),
+                    ...(isCollection ? { $top: RECORD_INSPECTOR_PAGE_SIZE, $skip: skip || '', $inlinecount: 'allpages' } : {})
+                });
+
+                const moreBtn = bodyEl.querySelector('.record-section-more');
+                if (moreBtn) moreBtn.remove();
+                if (!skip) bodyEl.innerHTML = '';
+                bodyEl.insertAdjacentHTML('beforeend', '<p class="loading">Loading...</p>');
+                const result = await runOdaQuery(sectionUrl, { signal });
+                if (signal.aborted) return;
+                bodyEl.querySelector('.loading').remove();
+
+                // A missing single relation comes back as an empty body
+                const failed = result.networkError || (!result.ok && result.httpStatus !== 404 && result.httpStatus !== 204);
+                if (failed) {
+                    bodyEl.insertAdjacentHTML('beforeend', `<p class="test-error">Could not load ${escapeHtml(navigation.name)}: ${escapeHtml(result.networkError ? 'the request failed' : getOdataErrorMessage(result))}</p>`);
+                    if (!skip) loaded = null;
+                    return;
+                }
+
+                const records = isCollection
+                    ? (result.data && Array.isArray(result.data.value) ? result.data.value : [])
+                    : [getResponseRecord(result.data)].filter(Boolean);
+                const total = result.data && result.data['odata.count'] !== undefined ? parseInt(result.data['odata.count'], 10) : null;
+                loaded += records.length;
+
+                if (!skip) {
+                    bodyEl.insertAdjacentHTML('beforeend', `<p class="record-section-url"><code>${escapeHtml(sectionUrl)}</code></p><ul class="record-items"></ul>`);
+                    if (isCollection && total !== null) {
+                        sectionEl.querySelector('.record-section-count').textContent = `(${total.toLocaleString()})`;
+                    }
+                }
+                const listEl = bodyEl.querySelector('.record-items');
+                listEl.insertAdjacentHTML('beforeend', records.map(item => renderRecordItem(navigation.target, item, entitySets)).join(''));
+
+                if (!loaded) {
+                    listEl.outerHTML = '<p class="record-section-empty">None</p>';
+                } else if (isCollection && records.length === RECORD_INSPECTOR_PAGE_SIZE && (total === null || loaded < total)) {
+                    const remaining = total === null ? RECORD_INSPECTOR_PAGE_SIZE : Math.min(RECORD_INSPECTOR_PAGE_SIZE, total - loaded);
+                    bodyEl.insertAdjacentHTML('beforeend', `<button type="button" class="record-section-more">Show ${remaining} more</button>`);
+                    bodyEl.querySelector('.record-section-more').addEventListener('click', () => loadSection(sectionEl, navigation, loaded));
+                }
+            }
+        });
+    }
+
+    function showStatus(message, type = '') {
+        statusEl.className = `record-inspector-status${type ? ` ${type}` : ''}`;
+        statusEl.textContent = message;
+    }
+
+    return { open, openReference };
+}
+
+/**
+ * Side panel for pages without an inspector of their own
+ */
+function createRecordInspectorPanel() {
+    const panel = document.createElement('aside');
+    panel.className = 'record-inspector-panel';
+    panel.setAttribute('aria-label', 'Record inspector');
+    panel.innerHTML = `
+        <button type="button" class="record-inspector-close" title="Close">✕</button>
+        <div class="record-inspector"></div>
+    `;
+    document.body.appendChild(panel);
+
+    panel.querySelector('.record-inspector-close').addEventListener('click', () => {
+        // Drop the record from the hash without adding a history entry
+        const url = new URL(window.location.href);
+        const hashParams = new URLSearchParams(url.hash.slice(1));
+        hashParams.delete(RECORD_INSPECTOR_HASH_PARAM);
+        url.hash = hashParams.toString();
+        history.replaceState(null, '', url.href);
+        panel.hidden = true;
+    });
+
+    return panel;
+}
+
+/**
+ * Setup record inspectors: <div class="record-inspector" data-record="Sag(12345)">,
+ * and open the record in the URL hash (#record=Sag(12345)) on any page
+ */
+function setupRecordInspectors() {
+    let pageInspector = null;
+    let panel = null;
+
+    // The page inspector goes through the hash, so links and Back work
+    const navigate = (entity, key) => {
+        const hash = new URL(getRecordInspectorLink(entity, key)).hash;
+        if (window.location.hash === hash) {
+            pageInspector.open(entity, key);
+        } else {
+            window.location.hash = hash;
+        }
+    };
+
+    const placeholders = Array.from(document.querySelectorAll('.record-inspector'));
+    placeholders.forEach((placeholder, index) => {
+        const inspector = createRecordInspector(placeholder, index === 0 ? { navigate } : {});
+        if (index === 0) pageInspector = inspector;
+        // The hash wins over the first inspector's own record
+        if (placeholder.dataset.record && !(index === 0 && readRecordReferenceFromLocation())) {
+            inspector.openReference(placeholder.dataset.record);
+        }
+    });
+
+    function showRecordFromLocation() {
+        const reference = readRecordReferenceFromLocation();
+        if (!reference) {
+            if (panel) panel.hidden = true;
+            return;
+        }
+
+        if (!pageInspector) {
+            panel = createRecordInspectorPanel();
+            pageInspector = createRecordInspector(panel.querySelector('.record-inspector'), { navigate });
+        }
+        if (panel) {
+            panel.hidden = false;
+        } else {
+            placeholders[0].scrollIntoView({ block: 'start' });
+        }
+        pageInspector.openReference(reference);
+    }
+
+    window.addEventListener('hashchange', showRecordFromLocation);
+    showRecordFromLocation();
+}
@@ -0,0 +1,309 @@
+/**
+ * Danish Parliament API Documentation - Record Search
+ *
+ * Typeahead for ID fields that point at another record (aktørid, sagid,
+ * afstemningid): typing a name or title searches the related entity with
+ * substringof() and picking a match fills in its id.
+ *
+ * Searches are debounced, cached for a while and spaced out across the
+ * page (RECORD_SEARCH_MIN_INTERVAL), so typing costs a handful of
+ * requests rather than one per key.
+ */
+
+const RECORD_SEARCH_DEBOUNCE = 300;             // ms of quiet typing before searching
+const RECORD_SEARCH_MIN_INTERVAL = 1000;        // ms between searches, across all typeaheads
+const RECORD_SEARCH_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const RECORD_SEARCH_CACHE_SIZE = 100;           // search terms kept
+const RECORD_SEARCH_LIMIT = 8;
+const RECORD_SEARCH_MIN_LENGTH = 2;
+
+/**
+ * First ten characters of an ODA date, or ''
+ */
+function formatRecordDate(value) {
+    return value ? String(value).slice(0, 10) : '';
+}
+
+// How to search each entity and describe its matches
+const RECORD_SEARCH_CONFIGS = {
+    Aktør: {
+        fields: ['navn'],
+        select: 'id,navn,gruppenavnkort,startdato,slutdato,Aktørtype/type',
+        expand: 'Aktørtype',
+        orderby: 'navn',
+        label: row => row.navn,
+        context: row => {
+            const from = formatRecordDate(row.startdato).slice(0, 4);
+            const to = formatRecordDate(row.slutdato).slice(0, 4);
+            return [row.Aktørtype && row.Aktørtype.type, row.gruppenavnkort, from || to ? `${from}–${to}` : ''];
+        }
+    },
+    Sag: {
+        fields: ['titel', 'nummer'],
+        select: 'id,titel,nummer,Periode/titel,Sagsstatus/status',
+        expand: 'Periode,Sagsstatus',
+        orderby: 'id desc',
+        label: row => row.titel,
+        context: row => [row.nummer, row.Periode && row.Periode.titel, row.Sagsstatus && row.Sagsstatus.status]
+    },
+    Afstemning: {
+        fields: ['konklusion'],
+        numberFields: ['nummer'],
+        select: 'id,nummer,konklusion,vedtaget,Møde/titel,Møde/dato',
+        expand: 'Møde',
+        orderby: 'id desc',
+        label: row => `Afstemning ${row.nummer}${row.Møde ? ` - ${row.Møde.titel}` : ''}`,
+        context: row => [row.Møde && formatRecordDate(row.Møde.dato), row.vedtaget ? 'passed' : 'not passed']
+    },
+    Møde: {
+        fields: ['titel'],
+        select: 'id,titel,nummer,dato',
+        orderby: 'dato desc',
+        label: row => row.titel,
+        context: row => [formatRecordDate(row.dato), row.nummer ? `no. ${row.nummer}` : '']
+    },
+    Dokument: {
+        fields: ['titel'],
+        select: 'id,titel,dato,Dokumenttype/type',
+        expand: 'Dokumenttype',
+        orderby: 'id desc',
+        label: row => row.titel,
+        context: row => [row.Dokumenttype && row.Dokumenttype.type, formatRecordDate(row.dato)]
+    },
+    Sagstrin: {
+        fields: ['titel'],
+        select: 'id,titel,dato,Sag/nummer',
+        expand: 'Sag',
+        orderby: 'id desc',
+        label: row => row.titel,
+        context: row => [row.Sag && row.Sag.nummer, formatRecordDate(row.dato)]
+    }
+};
+
+// Search results by base URL, entity and term, oldest first
+const recordSearchCache = new Map();
+// Names of records seen in searches, so chips can show them
+const recordSearchLabels = new Map();
+let lastRecordSearchAt = 0;
+
+/**
+ * Map an entity's ID fields to the searchable entities they point at,
+ * e.g. { aktørid: 'Aktør', afstemningid: 'Afstemning' }
+ */
+function getRecordReferenceFields(entityName, entitySets) {
+    return getReferenceFields(entityName, entitySets, target => Boolean(RECORD_SEARCH_CONFIGS[target]));
+}
+
+/**
+ * Build the search URL for a term
+ *
+ * Text is matched with substringof() on the entity's name fields; a
+ * number also matches the id (and number fields), so a known id can be
+ * checked.
+ */
+function buildRecordSearchUrl(baseUrl, entityName, term) {
+    const config = RECORD_SEARCH_CONFIGS[entityName];
+    const literal = `'${term.replace(/'/g, '\'\'')}'`;
+    const conditions = config.fields.map(field => `substringof(${literal}, ${field})`);
+    if (/^\d+$/.test(term)) {
+        conditions.unshift(...['id', ...(config.numberFields || [])].map(field => `${field} eq ${term}`));
+    }
+
+    const params = [
+        ['$filter', conditions.join(' or ')],
+        ['$select', config.select],
+        ['$expand', config.expand],
+        ['$orderby', config.orderby],
+        ['$top', String(RECORD_SEARCH_LIMIT)]
+    ].filter(([, value]) => value);
+
+    return `${baseUrl}/${encodeURIComponent(entityName)}?${params.map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+/**
+ * Wait until RECORD_SEARCH_MIN_INTERVAL has passed since the last search,
+ * then claim the slot
+ *
+ * The slot is only taken when the search goes out, so runs cancelled
+ * while waiting don't delay the next one.
+ */
+async function waitForRecordSearchSlot(signal) {
+    for (;;) {
+        const wait = lastRecordSearchAt + RECORD_SEARCH_MIN_INTERVAL - Date.now();
+        if (wait <= 0) break;
+
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, wait);
+            if (signal) {
+                if (signal.aborted) {
+                    clearTimeout(timer);
+                    reject(new DOMException('Search cancelled', 'AbortError'));
+                }
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Search cancelled', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+    lastRecordSearchAt = Date.now();
+}
+
+/**
+ * Search an entity for records matching a term
+ *
+ * Resolves with [{ value, label, context }] where value is the id and
+ * context a short description (party, period, case number).
+ */
+async function searchRecords(entityName, term, options = {}) {
+    const baseUrl = options.baseUrl || getApiBaseUrl();
+    const text = term.trim();
+    const cacheKey = `${baseUrl}|${entityName}|${text.toLowerCase()}`;
+
+    const cached = recordSearchCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < RECORD_SEARCH_CACHE_TTL) return cached.results;
+
+    await waitForRecordSearchSlot(options.signal);
+    const config = RECORD_SEARCH_CONFIGS[entityName];
+    const data = await fetchOdaJson(buildRecordSearchUrl(baseUrl, entityName, text), { signal: options.signal });
+    const results = (Array.isArray(data.value) ? data.value : []).map(row => ({
+        value: String(row.id),
+        label: config.label(row) || `${entityName} ${row.id}`,
+        context: config.context(row).filter(Boolean).join(' · ')
+    }));
+
+    results.forEach(result => recordSearchLabels.set(`${baseUrl}|${entityName}|${result.value}`, result.label));
+    recordSearchCache.delete(cacheKey);
+    recordSearchCache.set(cacheKey, { results, fetchedAt: Date.now() });
+    if (recordSearchCache.size > RECORD_SEARCH_CACHE_SIZE) {
+        recordSearchCache.delete(recordSearchCache.keys().next().value);
+    }
+
+    return results;
+}
+
+/**
+ * Name of a record seen in an earlier search, or null
+ */
+function getCachedRecordLabel(entityName, id, baseUrl) {
+    return recordSearchLabels.get(`${baseUrl}|${entityName}|${id}`) || null;
+}
+
+/**
+ * Attach a typeahead to a text input
+ *
+ * Options: search(term, { signal }) - a promise of [{ value, label,
+ * context }], or null when the input shouldn't search right now, and
+ * onPick(result) - called after the input is set to a match's value.
+ * Returns { close }.
+ */
+function createRecordTypeahead(input, options = {}) {
+    const search = options.search || (() => null);
+    const onPick = options.onPick || (() => {});
+
+    const list = document.createElement('ul');
+    list.className = 'record-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.style.display = 'none';
+    input.after(list);
+    input.setAttribute('autocomplete', 'off');
+
+    let results = [];
+    let active = -1;
+    let timer = null;
+    let controller = null;
+
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(run, RECORD_SEARCH_DEBOUNCE);
+    });
+    input.addEventListener('keydown', e => {
+        if (list.style.display === 'none') return;
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && results.length) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            highlight((active + step + results.length) % results.length);
+        } else if (e.key === 'Enter' && active >= 0) {
+            // Picking a match shouldn't also submit it
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            pick(results[active]);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+    input.addEventListener('blur', () => setTimeout(close, 150));
+    list.addEventListener('mousedown', e => {
+        const item = e.target.closest('[data-index]');
+        if (!item) return;
+        e.preventDefault();
+        pick(results[item.dataset.index]);
+    });
+
+    async function run() {
+        const term = input.value.trim();
+        if (controller) controller.abort();
+        if (term.length < RECORD_SEARCH_MIN_LENGTH) {
+            close();
+            return;
+        }
+
+        controller = new AbortController();
+        const request = search(term, { signal: controller.signal });
+        if (!request) {
+            close();
+            return;
+        }
+
+        const current = controller;
+        show('<li class="record-suggestion-status">Searching...</li>');
+        try {
+            results = await request;
+        } catch (error) {
+            if (current.signal.aborted) return;
+            results = [];
+            show('<li class="record-suggestion-status">Search failed - type an id instead</li>');
+            return;
+        }
+        if (current.signal.aborted || input.value.trim() !== term) return;
+
+        active = results.length ? 0 : -1;
+        show(results.length ? results.map((result, index) => `
+            <li class="record-suggestion${index === active ? ' active' : ''}" role="option" data-index="${index}">
+                <strong>${escapeHtml(result.label)}</strong> <small>#${escapeHtml(result.value)}</small>
+                ${result.context ? `<br><small class="record-suggestion-context">${escapeHtml(result.context)}</small>` : ''}
+            </li>
+        `).join('') : '<li class="record-suggestion-status">No matches</li>');
+    }
+
+    function show(html) {
+        list.innerHTML = html;
+        list.style.left = `${input.offsetLeft}px`;
+        list.style.top = `${input.offsetTop + input.offsetHeight}px`;
+        list.style.minWidth = `${input.offsetWidth}px`;
+        list.style.display = 'block';
+    }
+
+    function highlight(index) {
+        active = index;
+        list.querySelectorAll('.record-suggestion').forEach((item, i) => item.classList.toggle('active', i === index));
+    }
+
+    function pick(result) {
+        if (!result) return;
+        input.value = result.value;
+        close();
+        onPick(result);
+    }
+
+    function close() {
+        clearTimeout(timer);
+        if (controller) controller.abort();
+        controller = null;
+        results = [];
+        active = -1;
+        list.style.display = 'none';
+    }
+
+    return { close };
+}
@@ -0,0 +1,123 @@
+/**
+ * Danish Parliament API Documentation - Relationship Explorer
+ *
+ * Links from query results to related records, so the model can be
+ * walked from the results: an ID field links to the record it points at
+ * (SagAktør.aktørid 7 -> Aktør with id eq 7), and a record links to each
+ * of its relations (Sag 5 -> SagAktør with sagid eq 5). Junction tables
+ * are two steps: Sag -> SagAktør -> Aktør.
+ *
+ * A link is { entity, filter, label, title } and is opened as a builder
+ * query. The builder keeps the links followed as a breadcrumb trail.
+ */
+
+/**
+ * Link for an ID field's value, or null
+ */
+function getReferenceLink(entityName, field, value, entitySets) {
+    const target = getReferenceFields(entityName, entitySets)[field];
+    if (!target || !/^\d+$/.test(String(value))) return null;
+    return { entity: target, filter: `id eq ${value}`, label: target, title: `Open ${target} ${value}` };
+}
+
+/**
+ * The ID field of a collection's records that points back at the
+ * record holding the collection (Sag.SagAktør -> SagAktør.sagid)
+ *
+ * When several fields point back (AktørAktør.fraaktørid and tilaktørid),
+ * the one named after the navigation property wins.
+ */
+function getBackReferenceField(nav, entityName, entitySets) {
+    const fields = Object.entries(getReferenceFields(nav.target, entitySets))
+        .filter(([, target]) => target === entityName)
+        .map(([field]) => field);
+    if (fields.length <= 1) return fields[0] || null;
+    return fields.find(field => field === `${nav.name.toLowerCase()}id`) || null;
+}
+
+/**
+ * Links from a record to its relations
+ *
+ * Single-valued relations follow the record's ID field; collections
+ * filter the related entity on the ID field pointing back.
+ */
+function getRecordRelationLinks(entityName, record, entitySets) {
+    const entitySet = entitySets[entityName];
+    if (!entitySet || !record || record.id === undefined || record.id === null) return [];
+
+    const referenceFields = Object.entries(getReferenceFields(entityName, entitySets));
+    return entitySet.navigationProperties.map(nav => {
+        if (nav.multiplicity !== '*') {
+            const [field] = referenceFields.find(([name, target]) => target === nav.target
+                && nav.name.toLowerCase().endsWith(name.slice(0, -2).toLowerCase())) || [];
+            if (!field || record[field] === null || record[field] === undefined) return null;
+            return { entity: nav.target, filter: `id eq ${record[field]}`, label: nav.name, title: `Open ${nav.target} ${record[field]}` };
+        }
+
+        const field = getBackReferenceField(nav, entityName, entitySets);
+        if (!field) return null;
+        return {
+            entity: nav.target,
+            filter: `${field} eq ${record.id}`,
+            label: nav.name,
+            title: `${nav.target} records with ${field} eq ${record.id}`
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Entity of the record or field at a JSON path in a response
+ *
+ * Collections start at value[n]; a single record (Sag(5)) at the root.
+ * Returns null for paths outside the records.
+ */
+function getResultPathEntity(segments, entityName, entitySets, isCollection) {
+    let rest = segments;
+    if (isCollection) {
+        if (segments[0] !== 'value' || typeof segments[1] !== 'number') return null;
+        rest = segments.slice(2);
+    }
+    const navPath = rest.filter(segment => typeof segment === 'string').join('/');
+    return navPath ? resolveNavigationPath(navPath, entityName, entitySets) : entityName;
+}
+
+/**
+ * Links for a node of the JSON tree: a record links to its relations and
+ * an ID field to the record it points at
+ */
+function getResultLinks(segments, value, entityName, entitySets, isCollection) {
+    if (value !== null && typeof value === 'object') {
+        if (Array.isArray(value)) return [];
+        const recordEntity = getResultPathEntity(segments, entityName, entitySets, isCollection);
+        return recordEntity ? getRecordRelationLinks(recordEntity, value, entitySets) : [];
+    }
+
+    const field = segments[segments.length - 1];
+    if (typeof field !== 'string') return [];
+    const recordEntity = getResultPathEntity(segments.slice(0, -1), entityName, entitySets, isCollection);
+    const link = recordEntity ? getReferenceLink(recordEntity, field, value, entitySets) : null;
+    return link ? [link] : [];
+}
+
+/**
+ * Builder parameters for following a link
+ */
+function getRelationLinkParams(link) {
+    return { $filter: link.filter, $top: '20', $inlinecount: 'allpages' };
+}
+
+/**
+ * Link for a results grid cell: ID columns, including those of expanded
+ * records (Sagstrin.sagid), and the item counts of expanded collections
+ */
+function getGridCellLink(columnKey, value, row, entityName, entitySets) {
+    const [first, field] = columnKey.split('.');
+    if (field) {
+        const target = resolveNavigationPath(first, entityName, entitySets);
+        return target ? getReferenceLink(target, field, value, entitySets) : null;
+    }
+    if (Array.isArray(row[columnKey])) {
+        return getRecordRelationLinks(entityName, row, entitySets).find(link => link.label === columnKey) || null;
+    }
+    return getReferenceLink(entityName, columnKey, value, entitySets);
+}
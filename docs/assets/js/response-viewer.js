@@ -0,0 +1,416 @@
+/**
+ * Danish Parliament API Documentation - Response Viewer
+ *
+ * Collapsible JSON tree used by the query builder's Test results and the
+ * live response-viewer page:
+ * - Type coloring for strings, numbers, booleans and null
+ * - Expand all / collapse all
+ * - In-tree text search with next/previous navigation
+ * - Click a key to copy its JSON path (e.g. value[2].Sagsstatus.status)
+ *
+ * Nodes are rendered lazily when expanded and arrays are paged, so
+ * responses with hundreds of rows and nested expansions stay fast.
+ */
+
+const JSON_VIEWER_PAGE_SIZE = 100;      // array items rendered per "show more"
+const JSON_VIEWER_EXPAND_BUDGET = 5000; // nodes "Expand all" will render at most
+const JSON_VIEWER_MAX_MATCHES = 500;    // search results collected at most
+
+/**
+ * Format path segments as a JSON path, e.g. ['value', 2, 'titel'] -> value[2].titel
+ */
+function formatJsonPath(segments) {
+    return segments.reduce((path, segment) => {
+        if (typeof segment === 'number') return `${path}[${segment}]`;
+        if (/^[A-Za-z_$À-ɏ][\w$À-ɏ]*$/.test(segment)) {
+            return path ? `${path}.${segment}` : segment;
+        }
+        return `${path}['${segment.replace(/'/g, "\\'")}']`;
+    }, '');
+}
+
+/**
+ * Render a JSON value as a collapsible tree inside a container
+ *
+ * Options: expandFirstRow (default true), describeValue(segments, value) -
+ * a name shown next to a primitive value (e.g. for a code), or null, and
+ * getLinks(segments, value) - [{ label, title }] buttons shown on a node,
+ * with onLink(link) called when one is clicked.
+ * Returns a controller: { expandAll, collapseAll, search, setData }.
+ */
+function createResponseViewer(container, data, options = {}) {
+    // Per-node state: { value, segments, expanded, rendered, childEls }
+    const nodeState = new WeakMap();
+    let rootEl = null;
+    let matches = [];
+    let currentMatch = -1;
+
+    container.classList.add('json-viewer');
+    container.innerHTML = `
+        <div class="jv-toolbar">
+            <button type="button" class="jv-expand-all">⊞ Expand all</button>
+            <button type="button" class="jv-collapse-all">⊟ Collapse all</button>
+            <input type="search" class="jv-search" placeholder="Search keys and values...">
+            <button type="button" class="jv-prev" title="Previous match" disabled>↑</button>
+            <button type="button" class="jv-next" title="Next match" disabled>↓</button>
+            <span class="jv-message" aria-live="polite"></span>
+        </div>
+        <div class="jv-tree"></div>
+    `;
+
+    const treeEl = container.querySelector('.jv-tree');
+    const searchInput = container.querySelector('.jv-search');
+    const messageEl = container.querySelector('.jv-message');
+    const prevBtn = container.querySelector('.jv-prev');
+    const nextBtn = container.querySelector('.jv-next');
+
+    container.querySelector('.jv-expand-all').addEventListener('click', expandAll);
+    container.querySelector('.jv-collapse-all').addEventListener('click', collapseAll);
+    prevBtn.addEventListener('click', () => showMatch(currentMatch - 1));
+    nextBtn.addEventListener('click', () => showMatch(currentMatch + 1));
+
+    let searchTimer;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => search(searchInput.value), 250);
+    });
+    searchInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            showMatch(currentMatch + (e.shiftKey ? -1 : 1));
+        }
+    });
+
+    // One delegated listener for toggles, path copying and paging
+    treeEl.addEventListener('click', e => {
+        const nodeEl = e.target.closest('.jv-node');
+        if (!nodeEl) return;
+
+        const linkEl = e.target.closest('.jv-link');
+        if (linkEl) {
+            options.onLink(nodeState.get(nodeEl).links[linkEl.dataset.link]);
+        } else if (e.target.classList.contains('jv-key')) {
+            copyPath(nodeState.get(nodeEl).segments);
+        } else if (e.target.classList.contains('jv-more')) {
+            renderChildren(nodeEl, nodeState.get(nodeEl).rendered + JSON_VIEWER_PAGE_SIZE);
+        } else if (e.target.closest('.jv-header') && nodeEl.classList.contains('jv-container')) {
+            toggleNode(nodeEl);
+        }
+    });
+
+    setData(data);
+
+    function setData(newData) {
+        data = newData;
+        matches = [];
+        currentMatch = -1;
+        treeEl.innerHTML = '';
+        rootEl = createNode(null, data, []);
+        treeEl.appendChild(rootEl);
+        if (rootEl.classList.contains('jv-container')) expandNode(rootEl);
+
+        // Open the first row of an OData collection so the shape is visible
+        const state = nodeState.get(rootEl);
+        const valueEl = state && state.childEls && state.childEls.get('value');
+        if (valueEl && options.expandFirstRow !== false) {
+            expandNode(valueEl);
+            const firstRow = nodeState.get(valueEl).childEls.get(0);
+            if (firstRow && firstRow.classList.contains('jv-container')) expandNode(firstRow);
+        }
+
+        if (searchInput.value) search(searchInput.value);
+    }
+
+    function createNode(key, value, segments) {
+        const isContainer = value !== null && typeof value === 'object';
+        const nodeEl = document.createElement('div');
+        nodeEl.className = `jv-node${isContainer ? ' jv-container' : ''}`;
+
+        const keyHtml = key === null ? '' : `<span class="jv-key" title="Click to copy path">${escapeHtml(typeof key === 'number' ? `[${key}]` : key)}</span><span class="jv-colon">: </span>`;
+        const valueHtml = isContainer ? `<span class="jv-preview">${getPreview(value)}</span>` : renderPrimitive(value, segments);
+        const links = options.getLinks ? options.getLinks(segments, value) : [];
+        const linksHtml = links.length ? `<span class="jv-links">${links.map((link, index) => `
+            <button type="button" class="jv-link" data-link="${index}" title="${escapeHtml(link.title || '')}">→ ${escapeHtml(link.label)}</button>
+        `).join('')}</span>` : '';
+
+        nodeEl.innerHTML = `
+            <div class="jv-header">
+                <span class="jv-toggle">${isContainer ? '▸' : ''}</span>${keyHtml}${valueHtml}${linksHtml}
+            </div>
+        `;
+
+        nodeState.set(nodeEl, { value, segments, links, expanded: false, rendered: 0, childEls: null });
+        return nodeEl;
+    }
+
+    function getPreview(value) {
+        if (Array.isArray(value)) return `[${value.length} item${value.length === 1 ? '' : 's'}]`;
+        const keys = Object.keys(value);
+        return `{${keys.length} key${keys.length === 1 ? '' : 's'}}`;
+    }
+
+    function renderPrimitive(value, segments) {
+        const label = options.describeValue ? options.describeValue(segments, value) : null;
+        const labelHtml = label ? ` <span class="jv-code-label">${escapeHtml(label)}</span>` : '';
+        return renderValue(value) + labelHtml;
+    }
+
+    function renderValue(value) {
+        if (value === null) return '<span class="jv-value jv-null">null</span>';
+        if (typeof value === 'string') return `<span class="jv-value jv-string">"${escapeHtml(value)}"</span>`;
+        return `<span class="jv-value jv-${typeof value}">${escapeHtml(String(value))}</span>`;
+    }
+
+    /**
+     * Render children up to `limit` (arrays are paged); returns nodes added
+     */
+    function renderChildren(nodeEl, limit) {
+        const state = nodeState.get(nodeEl);
+        let childrenEl = nodeEl.querySelector(':scope > .jv-children');
+        if (!childrenEl) {
+            childrenEl = document.createElement('div');
+            childrenEl.className = 'jv-children';
+            nodeEl.appendChild(childrenEl);
+            state.childEls = new Map();
+        }
+
+        const entries = Array.isArray(state.value)
+            ? state.value.map((item, index) => [index, item])
+            : Object.entries(state.value);
+        const end = Math.min(entries.length, limit);
+
+        const moreBtn = childrenEl.querySelector(':scope > .jv-more');
+        if (moreBtn) moreBtn.remove();
+
+        const fragment = document.createDocumentFragment();
+        for (let i = state.rendered; i < end; i++) {
+            const [key, value] = entries[i];
+            const childEl = createNode(key, value, [...state.segments, key]);
+            state.childEls.set(key, childEl);
+            fragment.appendChild(childEl);
+        }
+        childrenEl.appendChild(fragment);
+
+        const added = Math.max(0, end - state.rendered);
+        state.rendered = Math.max(state.rendered, end);
+
+        if (state.rendered < entries.length) {
+            const more = document.createElement('button');
+            more.type = 'button';
+            more.className = 'jv-more';
+            more.textContent = `Show ${Math.min(JSON_VIEWER_PAGE_SIZE, entries.length - state.rendered)} more of ${entries.length - state.rendered} remaining`;
+            childrenEl.appendChild(more);
+        }
+
+        return added;
+    }
+
+    function expandNode(nodeEl) {
+        const state = nodeState.get(nodeEl);
+        if (!state || state.expanded || !nodeEl.classList.contains('jv-container')) return 0;
+
+        const added = state.rendered ? 0 : renderChildren(nodeEl, JSON_VIEWER_PAGE_SIZE);
+        state.expanded = true;
+        nodeEl.classList.add('jv-expanded');
+        nodeEl.querySelector(':scope > .jv-header > .jv-toggle').textContent = '▾';
+        return added;
+    }
+
+    function collapseNode(nodeEl) {
+        const state = nodeState.get(nodeEl);
+        if (!state || !state.expanded) return;
+
+        state.expanded = false;
+        nodeEl.classList.remove('jv-expanded');
+        nodeEl.querySelector(':scope > .jv-header > .jv-toggle').textContent = '▸';
+    }
+
+    function toggleNode(nodeEl) {
+        if (nodeState.get(nodeEl).expanded) collapseNode(nodeEl);
+        else expandNode(nodeEl);
+    }
+
+    function expandAll() {
+        // Breadth-first so the budget is spent on the upper levels first
+        let budget = JSON_VIEWER_EXPAND_BUDGET;
+        const queue = [rootEl];
+
+        while (queue.length && budget > 0) {
+            const nodeEl = queue.shift();
+            budget -= expandNode(nodeEl);
+            const state = nodeState.get(nodeEl);
+            if (state.childEls) {
+                state.childEls.forEach(childEl => {
+                    if (childEl.classList.contains('jv-container')) queue.push(childEl);
+                });
+            }
+        }
+
+        showMessage(queue.length ? 'Expanded as much as fits - expand deeper nodes individually' : '');
+    }
+
+    function collapseAll() {
+        treeEl.querySelectorAll('.jv-expanded').forEach(nodeEl => {
+            if (nodeEl !== rootEl) collapseNode(nodeEl);
+        });
+    }
+
+    /**
+     * Find keys and values containing the term and reveal the first match
+     */
+    function search(term) {
+        treeEl.querySelectorAll('.jv-match').forEach(el => el.classList.remove('jv-match', 'jv-current'));
+        matches = [];
+        currentMatch = -1;
+
+        const needle = term.trim().toLowerCase();
+        if (needle) collectMatches(data, [], needle);
+
+        prevBtn.disabled = nextBtn.disabled = matches.length === 0;
+        if (!needle) {
+            showMessage('');
+            return matches;
+        }
+
+        if (!matches.length) {
+            showMessage('No matches');
+        } else {
+            showMatch(0);
+        }
+        return matches;
+    }
+
+    function collectMatches(value, segments, needle) {
+        if (matches.length >= JSON_VIEWER_MAX_MATCHES) return;
+
+        if (value !== null && typeof value === 'object') {
+            const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+            for (const [key, child] of entries) {
+                const childSegments = [...segments, key];
+                const keyMatches = typeof key === 'string' && key.toLowerCase().includes(needle);
+                const valueMatches = (child === null || typeof child !== 'object') && String(child).toLowerCase().includes(needle);
+                if (keyMatches || valueMatches) matches.push(childSegments);
+                collectMatches(child, childSegments, needle);
+                if (matches.length >= JSON_VIEWER_MAX_MATCHES) return;
+            }
+        }
+    }
+
+    /**
+     * Expand ancestors of a path (rendering more array pages if needed)
+     */
+    function revealPath(segments) {
+        let nodeEl = rootEl;
+        for (const segment of segments) {
+            expandNode(nodeEl);
+            const state = nodeState.get(nodeEl);
+            if (typeof segment === 'number' && segment >= state.rendered) {
+                renderChildren(nodeEl, segment + 1);
+            }
+            nodeEl = state.childEls.get(segment);
+            if (!nodeEl) return null;
+        }
+        return nodeEl;
+    }
+
+    function showMatch(index) {
+        if (!matches.length) return;
+        currentMatch = (index + matches.length) % matches.length;
+
+        const current = treeEl.querySelector('.jv-current');
+        if (current) current.classList.remove('jv-current');
+
+        const nodeEl = revealPath(matches[currentMatch]);
+        if (!nodeEl) return;
+
+        const header = nodeEl.querySelector(':scope > .jv-header');
+        header.classList.add('jv-match', 'jv-current');
+        header.scrollIntoView({ block: 'nearest' });
+
+        const suffix = matches.length >= JSON_VIEWER_MAX_MATCHES ? '+' : '';
+        showMessage(`${currentMatch + 1} of ${matches.length}${suffix} - ${formatJsonPath(matches[currentMatch])}`);
+    }
+
+    async function copyPath(segments) {
+        const path = formatJsonPath(segments);
+        try {
+            await navigator.clipboard.writeText(path);
+        } catch (err) {
+            // Fallback for older browsers
+            const textArea = document.createElement('textarea');
+            textArea.value = path;
+            document.body.appendChild(textArea);
+            textArea.select();
+            document.execCommand('copy');
+            document.body.removeChild(textArea);
+        }
+        showMessage(`Copied ${path}`);
+    }
+
+    function showMessage(message) {
+        messageEl.textContent = message;
+    }
+
+    return { expandAll, collapseAll, search, setData };
+}
+
+/**
+ * Setup standalone response viewers: <div class="response-viewer" data-url="...">
+ */
+function setupResponseViewers() {
+    document.querySelectorAll('.response-viewer').forEach(viewer => {
+        const initialUrl = viewer.dataset.url || viewer.dataset.responseUrl || '';
+
+        viewer.innerHTML = `
+            <div class="response-viewer-form">
+                <input type="url" class="response-viewer-url" placeholder="${escapeHtml(getApiBaseUrl(viewer))}/Sag?$top=5" value="${escapeHtml(initialUrl)}">
+                <button type="button" class="response-viewer-load">▶ Load</button>
+            </div>
+            <div class="test-summary"></div>
+            <div class="response-viewer-output"></div>
+        `;
+
+        const urlInput = viewer.querySelector('.response-viewer-url');
+        const summaryEl = viewer.querySelector('.test-summary');
+        const outputEl = viewer.querySelector('.response-viewer-output');
+        let controller = null;
+
+        async function load() {
+            const url = urlInput.value.trim();
+            if (!url) return;
+
+            if (controller) controller.abort();
+            controller = new AbortController();
+            const signal = controller.signal;
+
+            summaryEl.innerHTML = '<span class="loading">Loading...</span>';
+            const result = await runOdaQuery(url, { signal });
+            if (signal.aborted) return;
+
+            if (result.networkError) {
+                summaryEl.innerHTML = '<span class="test-status error">Request failed</span>';
+                outputEl.innerHTML = `<p><em>The request could not be made from this browser. Try it with cURL:</em></p><code>curl "${escapeHtml(url)}"</code>`;
+                return;
+            }
+
+            summaryEl.innerHTML = `
+                <span class="test-status ${result.ok ? 'ok' : 'error'}">${result.httpStatus} ${escapeHtml(result.statusText)}</span>
+                <span>${result.latency} ms</span>
+                <span>${formatBytes(result.size)}</span>
+            `;
+
+            if (result.data) {
+                createResponseViewer(outputEl, result.data);
+            } else {
+                outputEl.innerHTML = `<pre><code>${escapeHtml(result.text || getOdataErrorMessage(result))}</code></pre>`;
+            }
+        }
+
+        viewer.querySelector('.response-viewer-load').addEventListener('click', load);
+        urlInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') load();
+        });
+
+        if (initialUrl) load();
+    });
+}
@@ -0,0 +1,283 @@
+/**
+ * Danish Parliament API Documentation - Results Grid
+ *
+ * Tabular view of a query's `value` rows:
+ * - Columns from the returned properties, with single-level expansions
+ *   flattened (e.g. Sagsstatus.status)
+ * - Sortable, resizable columns that can be hidden and shown
+ * - CSV/TSV export of the visible grid as UTF-8 (with BOM, so Excel
+ *   keeps æ, ø and å)
+ */
+
+const RESULTS_GRID_PAGE_SIZE = 200; // rows rendered per "show more"
+
+/**
+ * Work out grid columns from the rows
+ *
+ * Primitive properties become columns as-is; a related object (a single
+ * expansion) contributes one column per primitive property; a related
+ * collection becomes an item count.
+ */
+function getGridColumns(rows) {
+    const columns = [];
+    const seen = new Set();
+    const add = column => {
+        if (!seen.has(column.key)) {
+            seen.add(column.key);
+            columns.push(column);
+        }
+    };
+
+    // Expansions may be null on some rows; those keys never become plain columns
+    const relatedKeys = new Set();
+    rows.forEach(row => {
+        Object.entries(row).forEach(([key, value]) => {
+            if (value !== null && typeof value === 'object') relatedKeys.add(key);
+        });
+    });
+
+    rows.forEach(row => {
+        Object.entries(row).forEach(([key, value]) => {
+            if (key.startsWith('odata.') || key.includes('@odata')) return;
+
+            if (Array.isArray(value)) {
+                add({ key, label: `${key} (count)`, get: r => (Array.isArray(r[key]) ? r[key].length : null) });
+            } else if (value !== null && typeof value === 'object') {
+                Object.entries(value).forEach(([childKey, childValue]) => {
+                    if (childValue !== null && typeof childValue === 'object') return;
+                    if (childKey.startsWith('odata.') || childKey.includes('@odata')) return;
+                    add({
+                        key: `${key}.${childKey}`,
+                        label: `${key}.${childKey}`,
+                        get: r => (r[key] && typeof r[key] === 'object' ? r[key][childKey] : null)
+                    });
+                });
+            } else if (!relatedKeys.has(key)) {
+                add({ key, label: key, get: r => r[key] });
+            }
+        });
+    });
+
+    return columns;
+}
+
+/**
+ * Compare two cell values: numbers numerically, everything else as Danish text
+ */
+function compareGridValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), 'da', { numeric: true });
+}
+
+/**
+ * Serialize rows as CSV or TSV text
+ */
+function serializeGrid(rows, columns, format) {
+    const separator = format === 'tsv' ? '\t' : ',';
+    const formatCell = value => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        if (format === 'tsv') return text.replace(/[\t\r\n]+/g, ' ');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => formatCell(column.label)).join(separator)];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCell(column.get(row))).join(separator));
+    });
+    return lines.join('\r\n');
+}
+
+/**
+ * Offer text as a file download
+ */
+function downloadTextFile(text, filename, mimeType) {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Render rows as a sortable grid inside a container
+ *
+ * Options: filename - base name for exports (default 'oda-results'),
+ * describeValue(columnKey, value) - a name shown next to a cell value (e.g.
+ * for a code), or null, and getCellLink(columnKey, value, row) - a
+ * { label, title } link shown in a cell, or null, with onLink(link) called
+ * when one is clicked. Exports keep the raw values.
+ */
+function createResultsGrid(container, rows, options = {}) {
+    const columns = getGridColumns(rows);
+    const hidden = new Set();
+    // Dragged widths by column key, kept across header re-renders
+    const columnWidths = new Map();
+    let sortKey = null;
+    let sortDirection = 1;
+    let visibleRows = rows;
+    let renderedCount = 0;
+
+    container.classList.add('results-grid');
+    container.innerHTML = `
+        <div class="grid-toolbar">
+            <details class="grid-columns">
+                <summary>Columns (<span class="grid-column-count"></span>)</summary>
+                <div class="grid-column-list">
+                    ${columns.map(column => `
+                        <label><input type="checkbox" value="${escapeHtml(column.key)}" checked> ${escapeHtml(column.label)}</label>
+                    `).join('')}
+                </div>
+            </details>
+            <button type="button" class="grid-export" data-format="csv">⬇ CSV</button>
+            <button type="button" class="grid-export" data-format="tsv">⬇ TSV</button>
+            <span class="grid-info"></span>
+        </div>
+        <div class="grid-scroll">
+            <table class="grid-table">
+                <thead><tr></tr></thead>
+                <tbody></tbody>
+            </table>
+        </div>
+        <button type="button" class="grid-more" style="display: none;"></button>
+    `;
+
+    const headRow = container.querySelector('thead tr');
+    const tbody = container.querySelector('tbody');
+    const moreBtn = container.querySelector('.grid-more');
+
+    container.querySelectorAll('.grid-column-list input').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) hidden.delete(checkbox.value);
+            else hidden.add(checkbox.value);
+            render();
+        });
+    });
+
+    container.querySelectorAll('.grid-export').forEach(btn => {
+        btn.addEventListener('click', () => exportGrid(btn.dataset.format));
+    });
+
+    moreBtn.addEventListener('click', () => renderRows(renderedCount + RESULTS_GRID_PAGE_SIZE));
+
+    tbody.addEventListener('click', e => {
+        const btn = e.target.closest('.grid-link');
+        if (!btn) return;
+        const row = visibleRows[btn.dataset.row];
+        const column = columns.find(item => item.key === btn.dataset.key);
+        options.onLink(options.getCellLink(column.key, column.get(row), row));
+    });
+
+    render();
+
+    function getVisibleColumns() {
+        return columns.filter(column => !hidden.has(column.key));
+    }
+
+    function render() {
+        renderHeader();
+        renderRows(Math.max(renderedCount, RESULTS_GRID_PAGE_SIZE), true);
+        container.querySelector('.grid-column-count').textContent = `${getVisibleColumns().length}/${columns.length}`;
+    }
+
+    function renderHeader() {
+        headRow.innerHTML = getVisibleColumns().map(column => `
+            <th data-key="${escapeHtml(column.key)}" class="${column.key === sortKey ? (sortDirection > 0 ? 'sorted-asc' : 'sorted-desc') : ''}">
+                <span class="grid-sort">${escapeHtml(column.label)}</span>
+                <span class="grid-resize" title="Drag to resize"></span>
+            </th>
+        `).join('');
+
+        headRow.querySelectorAll('th').forEach(th => {
+            if (columnWidths.has(th.dataset.key)) setColumnWidth(th, columnWidths.get(th.dataset.key));
+            th.querySelector('.grid-sort').addEventListener('click', () => sortBy(th.dataset.key));
+            setupResize(th);
+        });
+    }
+
+    function renderRows(limit, replace) {
+        const visibleColumns = getVisibleColumns();
+        const start = replace ? 0 : renderedCount;
+        const end = Math.min(visibleRows.length, limit);
+
+        const html = [];
+        for (let i = start; i < end; i++) {
+            const row = visibleRows[i];
+            html.push(`<tr>${visibleColumns.map(column => {
+                const value = column.get(row);
+                const className = value === null || value === undefined ? 'grid-null' : typeof value === 'number' ? 'grid-number' : '';
+                const label = options.describeValue && value !== null && value !== undefined ? options.describeValue(column.key, value) : null;
+                const link = options.getCellLink && value !== null && value !== undefined ? options.getCellLink(column.key, value, row) : null;
+                return `<td class="${className}">${value === null || value === undefined ? '' : escapeHtml(String(value))}${label ? ` <span class="grid-code-label">${escapeHtml(label)}</span>` : ''}${link ? ` <button type="button" class="grid-link" data-row="${i}" data-key="${escapeHtml(column.key)}" title="${escapeHtml(link.title || '')}">→ ${escapeHtml(link.label)}</button>` : ''}</td>`;
+            }).join('')}</tr>`);
+        }
+
+        if (replace) tbody.innerHTML = html.join('');
+        else tbody.insertAdjacentHTML('beforeend', html.join(''));
+        renderedCount = end;
+
+        const remaining = visibleRows.length - renderedCount;
+        moreBtn.style.display = remaining > 0 ? 'block' : 'none';
+        moreBtn.textContent = `Show ${Math.min(RESULTS_GRID_PAGE_SIZE, remaining)} more of ${remaining} remaining rows`;
+        container.querySelector('.grid-info').textContent = `${visibleRows.length.toLocaleString()} rows`;
+    }
+
+    function sortBy(key) {
+        sortDirection = sortKey === key ? -sortDirection : 1;
+        sortKey = key;
+
+        const column = columns.find(c => c.key === key);
+        visibleRows = rows.slice().sort((a, b) => {
+            const aValue = column.get(a);
+            const bValue = column.get(b);
+            // Missing values stay last in both directions
+            const aMissing = aValue === null || aValue === undefined;
+            const bMissing = bValue === null || bValue === undefined;
+            if (aMissing || bMissing) return aMissing - bMissing;
+            return sortDirection * compareGridValues(aValue, bValue);
+        });
+        render();
+    }
+
+    function setupResize(th) {
+        const handle = th.querySelector('.grid-resize');
+        handle.addEventListener('mousedown', e => {
+            e.preventDefault();
+            const startX = e.clientX;
+            const startWidth = th.offsetWidth;
+
+            const onMove = moveEvent => {
+                const width = Math.max(40, startWidth + moveEvent.clientX - startX);
+                columnWidths.set(th.dataset.key, width);
+                setColumnWidth(th, width);
+            };
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+            };
+
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
+    function setColumnWidth(th, width) {
+        th.style.width = th.style.minWidth = th.style.maxWidth = `${width}px`;
+    }
+
+    function exportGrid(format) {
+        const text = serializeGrid(visibleRows, getVisibleColumns(), format);
+        const filename = `${options.filename || 'oda-results'}.${format}`;
+        // BOM so spreadsheet apps read the file as UTF-8
+        downloadTextFile(`\uFEFF${text}`, filename, format === 'tsv' ? 'text/tab-separated-values' : 'text/csv');
+    }
+
+    return { sortBy, exportGrid, getColumns: getVisibleColumns };
+}
@@ -0,0 +1,271 @@
+/**
+ * Danish Parliament API Documentation - $select Picker
+ *
+ * Lists the selected entity's properties, plus the properties of every
+ * expanded navigation as `Nav/field`, and turns the ticked ones into a
+ * $select list. In OData 3.0 an expanded relation is only returned when
+ * $select names it (`Nav`) or one of its fields (`Nav/field`), so the
+ * picker warns about expansions a selection would drop.
+ *
+ * A size preview compares the estimated payload per record with and
+ * without the selection, and can measure the real responses.
+ */
+
+// Rough JSON size of a value of each EDM type, in bytes
+const SELECT_TYPE_SIZES = {
+    Boolean: 5,
+    Byte: 3,
+    Int16: 5,
+    Int32: 6,
+    Int64: 10,
+    Decimal: 8,
+    Double: 10,
+    DateTime: 25,
+    String: 40
+};
+
+/**
+ * Estimate the JSON size of a record with the given properties
+ */
+function estimateRecordSize(properties) {
+    return properties.reduce((size, property) => size + property.name.length + 4 + (SELECT_TYPE_SIZES[property.type] || 20), 2);
+}
+
+/**
+ * Resolve an expand path (SagAktør/Aktør) to the entity set it ends at,
+ * or null when a segment is unknown
+ */
+function resolveNavigationPath(path, entityName, entitySets) {
+    return path.split('/').reduce((current, segment) => {
+        if (!current || !entitySets[current]) return null;
+        const nav = entitySets[current].navigationProperties.find(item => item.name === segment);
+        return nav ? nav.target : null;
+    }, entityName);
+}
+
+/**
+ * Every expanded path, parents included (SagAktør/Aktør also expands
+ * SagAktør), with the entity set it ends at
+ */
+function getExpandedTargets(expand, entityName, entitySets) {
+    const targets = [];
+    String(expand || '').split(',').map(path => path.trim()).filter(Boolean).forEach(path => {
+        const segments = path.split('/');
+        for (let i = 1; i <= segments.length; i++) {
+            const prefix = segments.slice(0, i).join('/');
+            const target = resolveNavigationPath(prefix, entityName, entitySets);
+            if (target && entitySets[target] && !targets.some(item => item.path === prefix)) {
+                targets.push({ path: prefix, entity: target });
+            }
+        }
+    });
+    return targets;
+}
+
+/**
+ * Check a $select list against the entity and its expansions
+ *
+ * Returns [{ message }] for unknown fields and for expansions the
+ * selection leaves out.
+ */
+function validateSelect(fields, entityName, expand, entitySets) {
+    const entitySet = entitySets[entityName];
+    if (!entitySet || !fields.length) return [];
+
+    const targets = getExpandedTargets(expand, entityName, entitySets);
+    const issues = [];
+
+    fields.forEach(field => {
+        if (field === '*') return;
+        const slash = field.lastIndexOf('/');
+        const navPath = slash === -1 ? '' : field.slice(0, slash);
+        const name = field.slice(slash + 1);
+
+        // A bare navigation path selects the whole related record
+        if (targets.some(target => target.path === field)) return;
+
+        const target = navPath ? targets.find(item => item.path === navPath) : { entity: entityName };
+        if (!target) {
+            issues.push({ message: `${field}: "${navPath}" is not expanded - add it to $expand first` });
+            return;
+        }
+        const properties = entitySets[target.entity].properties.map(property => property.name);
+        if (name !== '*' && !properties.includes(name)) {
+            const suggestion = suggestName(name, properties);
+            issues.push({ message: `${target.entity} has no field "${name}"${suggestion ? ` - did you mean ${suggestion}?` : ''}` });
+        }
+    });
+
+    // Report the outermost dropped expansion only, not each level below it
+    const included = path => fields.some(field => field === path || field.startsWith(`${path}/`));
+    targets.forEach(target => {
+        const parent = target.path.split('/').slice(0, -1).join('/');
+        if (!included(target.path) && (!parent || included(parent))) {
+            issues.push({ message: `${target.path} is expanded but nothing from it is selected, so it won't be returned` });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Wire a .select-picker element into a field picker
+ *
+ * Options: getEntity(), getEntitySets(), getExpand() - the current
+ * $expand text, getUrl() - the query URL (for measuring), and
+ * onChange(selectText) - called whenever the ticked fields change.
+ * Returns { setSelect, getSelect, refresh }.
+ */
+function createSelectPicker(container, options = {}) {
+    const getEntity = options.getEntity || (() => '');
+    const getEntitySets = options.getEntitySets || (() => ({}));
+    const getExpand = options.getExpand || (() => '');
+    const getUrl = options.getUrl || (() => '');
+    const onChange = options.onChange || (() => {});
+
+    const groupsEl = container.querySelector('.select-groups');
+    const searchInput = container.querySelector('.select-search');
+    const issuesEl = container.querySelector('.select-issues');
+    const sizeEl = container.querySelector('.select-size');
+    const measureBtn = container.querySelector('.select-measure-btn');
+    const measureEl = container.querySelector('.select-measure-result');
+
+    let fields = [];
+
+    // The checkboxes sit inside the builder form; keep them out of its input handling
+    groupsEl.addEventListener('input', e => e.stopPropagation());
+    groupsEl.addEventListener('change', e => {
+        if (!e.target.matches('input[type="checkbox"]')) return;
+        const field = e.target.dataset.field;
+        fields = e.target.checked ? fields.concat(field) : fields.filter(item => item !== field);
+        // A whole related record makes its single fields redundant
+        if (e.target.checked && e.target.dataset.whole) {
+            fields = fields.filter(item => !item.startsWith(`${field}/`));
+        }
+        render();
+        onChange(getSelect());
+    });
+    searchInput.addEventListener('input', e => {
+        e.stopPropagation();
+        render();
+    });
+    measureBtn.addEventListener('click', measure);
+
+    render();
+
+    function getSelect() {
+        return fields.join(',');
+    }
+
+    /**
+     * Follow $select text typed elsewhere
+     */
+    function setSelect(text) {
+        fields = Array.from(new Set(String(text || '').split(',').map(field => field.trim()).filter(Boolean)));
+        render();
+    }
+
+    function refresh() {
+        measureEl.textContent = '';
+        render();
+    }
+
+    function render() {
+        const entitySets = getEntitySets();
+        const entity = getEntity();
+        const entitySet = entitySets[entity];
+        if (!entitySet) {
+            groupsEl.innerHTML = '';
+            return;
+        }
+
+        const search = searchInput.value.trim().toLowerCase();
+        const targets = getExpandedTargets(getExpand(), entity, entitySets);
+        const groups = [{ path: '', entity }, ...targets];
+
+        groupsEl.innerHTML = groups.map(group => {
+            const prefix = group.path ? `${group.path}/` : '';
+            const properties = entitySets[group.entity].properties
+                .filter(property => !search || `${prefix}${property.name}`.toLowerCase().includes(search));
+            const whole = group.path && fields.includes(group.path);
+
+            return `
+                <div class="select-group">
+                    <div class="select-group-title">
+                        ${group.path ? `
+                            <label title="Select every field of ${escapeHtml(group.entity)}">
+                                <input type="checkbox" data-field="${escapeHtml(group.path)}" data-whole="true" ${whole ? 'checked' : ''}>
+                                <strong>${escapeHtml(group.path)}</strong> (all fields)
+                            </label>
+                            <small>${escapeHtml(group.entity)}</small>
+                        ` : `<strong>${escapeHtml(entity)}</strong>`}
+                    </div>
+                    <div class="select-fields">
+                        ${properties.map(property => `
+                            <label class="select-field" title="${escapeHtml(property.type)}${property.nullable ? ', may be null' : ''}">
+                                <input type="checkbox" data-field="${escapeHtml(prefix + property.name)}"
+                                    ${fields.includes(prefix + property.name) || whole ? 'checked' : ''} ${whole ? 'disabled' : ''}>
+                                ${escapeHtml(property.name)} <small class="select-type">${escapeHtml(property.type)}</small>
+                            </label>
+                        `).join('') || '<small>No matching fields</small>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const issues = validateSelect(fields, entity, getExpand(), entitySets);
+        issuesEl.style.display = issues.length ? 'block' : 'none';
+        issuesEl.innerHTML = issues.map(issue => `<div>⚠️ ${escapeHtml(issue.message)}</div>`).join('');
+
+        renderSizeEstimate(entity, targets);
+    }
+
+    /**
+     * Estimated size per record, with and without the selection
+     */
+    function renderSizeEstimate(entity, targets) {
+        const entitySets = getEntitySets();
+        const propertiesOf = name => entitySets[name].properties;
+        const full = estimateRecordSize(propertiesOf(entity))
+            + targets.reduce((size, target) => size + estimateRecordSize(propertiesOf(target.entity)), 0);
+
+        if (!fields.length) {
+            sizeEl.firstElementChild.textContent = `≈ ${formatBytes(full)} per record (all fields)`;
+            return;
+        }
+
+        const pick = (name, prefix) => propertiesOf(name).filter(property => fields.includes(`${prefix}${property.name}`));
+        const selected = estimateRecordSize(pick(entity, ''))
+            + targets.reduce((size, target) => {
+                const included = fields.some(field => field === target.path || field.startsWith(`${target.path}/`));
+                if (!included) return size;
+                return size + estimateRecordSize(fields.includes(target.path) ? propertiesOf(target.entity) : pick(target.entity, `${target.path}/`));
+            }, 0);
+        const saving = Math.max(0, Math.round((1 - selected / full) * 100));
+
+        sizeEl.firstElementChild.textContent = `≈ ${formatBytes(selected)} per record with this selection vs ${formatBytes(full)} without (${saving}% smaller)`;
+    }
+
+    /**
+     * Fetch the query with and without $select and compare real sizes
+     */
+    async function measure() {
+        const url = getUrl();
+        const withoutSelect = url.replace(/([?&])%24select=[^&]*&?/, '$1').replace(/[?&]$/, '');
+        measureBtn.disabled = true;
+        measureEl.textContent = 'Measuring...';
+
+        const [selected, all] = await Promise.all([runOdaQuery(url), runOdaQuery(withoutSelect)]);
+        measureBtn.disabled = false;
+
+        if (!selected.ok || !all.ok) {
+            measureEl.textContent = 'Could not measure - run the query with Test to see why';
+            return;
+        }
+        measureEl.textContent = url === withoutSelect
+            ? `Measured: ${formatBytes(all.size)} for this query`
+            : `Measured: ${formatBytes(selected.size)} with $select vs ${formatBytes(all.size)} without`;
+    }
+
+    return { setSelect, getSelect, refresh };
+}
@@ -0,0 +1,79 @@
+/**
+ * Danish Parliament API Documentation - Status History
+ *
+ * Keeps status widget probe results in localStorage across visits so
+ * uptime can be calculated from real checks over 24 h, 7 d and 30 d.
+ */
+
+const STATUS_HISTORY_STORAGE_KEY = 'oda-docs-status-history';
+const STATUS_HISTORY_WINDOWS = {
+    '24h': { label: '24 hours', duration: 24 * 60 * 60 * 1000 },
+    '7d': { label: '7 days', duration: 7 * 24 * 60 * 60 * 1000 },
+    '30d': { label: '30 days', duration: 30 * 24 * 60 * 60 * 1000 }
+};
+const STATUS_HISTORY_RETENTION = STATUS_HISTORY_WINDOWS['30d'].duration;
+
+/**
+ * Storage key for one API base URL, so a stand-in server keeps its own history
+ */
+function getStatusHistoryKey(baseUrl) {
+    return `${STATUS_HISTORY_STORAGE_KEY}:${baseUrl}`;
+}
+
+/**
+ * Load every stored check for a base URL, oldest first
+ *
+ * Points are stored as compact [time, responseTime, ok] tuples.
+ */
+function loadStatusHistory(baseUrl) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getStatusHistoryKey(baseUrl))) || [];
+        return stored.map(([time, responseTime, ok]) => ({ time, responseTime, ok: ok === 1 }));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Append a check to the stored history, dropping points past retention
+ */
+function recordStatusCheck(baseUrl, point) {
+    const cutoff = Date.now() - STATUS_HISTORY_RETENTION;
+    const history = loadStatusHistory(baseUrl).filter(p => p.time >= cutoff);
+    history.push(point);
+
+    try {
+        const compact = history.map(p => [p.time, p.responseTime, p.ok ? 1 : 0]);
+        localStorage.setItem(getStatusHistoryKey(baseUrl), JSON.stringify(compact));
+    } catch (error) {
+        console.warn('Could not save status history:', error);
+    }
+
+    return history;
+}
+
+/**
+ * Stored checks within a retention window ('24h', '7d' or '30d')
+ */
+function getStatusHistory(baseUrl, windowName) {
+    const range = STATUS_HISTORY_WINDOWS[windowName] || STATUS_HISTORY_WINDOWS['24h'];
+    const cutoff = Date.now() - range.duration;
+    return loadStatusHistory(baseUrl).filter(p => p.time >= cutoff);
+}
+
+/**
+ * Share of successful checks as a percentage, or null with no data
+ */
+function calculateUptime(points) {
+    if (!points.length) return null;
+    const successful = points.filter(p => p.ok).length;
+    return (successful / points.length) * 100;
+}
+
+/**
+ * Format an uptime percentage for display
+ */
+function formatUptime(uptime) {
+    if (uptime === null) return '--';
+    return uptime === 100 ? '100%' : `${uptime.toFixed(2)}%`;
+}
@@ -0,0 +1,126 @@
+/**
+ * Danish Parliament API Documentation - Status Monitor
+ *
+ * Turns individual health checks into an overall 'online', 'degraded' or
+ * 'offline' status. Thresholds are configurable and a state change needs
+ * several consecutive matching evaluations, so a single blip doesn't flip
+ * the widget.
+ */
+
+const DEFAULT_STATUS_THRESHOLDS = {
+    latency: 1000,          // ms before a check counts as slow
+    errorRate: 0.2,         // share of failed endpoint checks that means trouble
+    errorRateWindow: 10,    // how many recent endpoint checks the error rate covers
+    freshnessHours: 72,     // hours without data updates before freshness warns
+    consecutiveChecks: 2    // matching evaluations needed to change state
+};
+
+/**
+ * Read status thresholds from a widget's data attributes
+ *
+ * e.g. <div id="api-status-widget" data-latency-threshold="1500" data-consecutive-checks="3">
+ */
+function getStatusThresholds(element) {
+    const thresholds = { ...DEFAULT_STATUS_THRESHOLDS };
+    if (!element) return thresholds;
+
+    const attributes = {
+        latency: 'latencyThreshold',
+        errorRate: 'errorRateThreshold',
+        errorRateWindow: 'errorRateWindow',
+        freshnessHours: 'freshnessThreshold',
+        consecutiveChecks: 'consecutiveChecks'
+    };
+
+    Object.entries(attributes).forEach(([key, attribute]) => {
+        const value = parseFloat(element.dataset[attribute]);
+        if (!isNaN(value)) thresholds[key] = value;
+    });
+
+    return thresholds;
+}
+
+/**
+ * Combine health checks into a candidate status with the reasons for it
+ *
+ * Each check is { label, status: 'healthy'|'warning'|'error', message,
+ * latency?, critical? }. When every critical check errors the API is
+ * offline; any other problem makes it degraded.
+ */
+function evaluateHealthChecks(checks, history, thresholds) {
+    const reasons = [];
+
+    const critical = checks.filter(check => check.critical);
+    if (critical.length && critical.every(check => check.status === 'error')) {
+        return {
+            status: 'offline',
+            reasons: critical.map(check => `${check.label}: ${check.message}`)
+        };
+    }
+
+    checks.forEach(check => {
+        if (check.status === 'error' || check.status === 'warning') {
+            reasons.push(`${check.label}: ${check.message}`);
+        } else if (check.latency > thresholds.latency) {
+            reasons.push(`${check.label} slow (${check.latency}ms)`);
+        }
+    });
+
+    const recent = history.slice(-thresholds.errorRateWindow);
+    if (recent.length) {
+        const errorRate = recent.filter(point => !point.ok).length / recent.length;
+        if (errorRate > thresholds.errorRate) {
+            reasons.push(`${Math.round(errorRate * 100)}% of the last ${recent.length} checks failed`);
+        }
+    }
+
+    return { status: reasons.length ? 'degraded' : 'online', reasons };
+}
+
+/**
+ * Create a status state machine with hysteresis
+ *
+ * update() takes an evaluation from evaluateHealthChecks and returns the
+ * status to display: the first evaluation is accepted as-is, after that a
+ * different status must repeat `consecutiveChecks` times before it wins.
+ */
+function createStatusStateMachine(consecutiveChecks = DEFAULT_STATUS_THRESHOLDS.consecutiveChecks) {
+    let current = null;
+    let pending = null;
+    let pendingCount = 0;
+
+    function snapshot() {
+        return {
+            ...current,
+            pendingStatus: pending ? pending.status : null,
+            pendingCount
+        };
+    }
+
+    return {
+        update(evaluation) {
+            if (!current || evaluation.status === current.status) {
+                // Same state: keep the latest reasons and drop any pending change
+                current = evaluation;
+                pending = null;
+                pendingCount = 0;
+                return snapshot();
+            }
+
+            pendingCount = pending && pending.status === evaluation.status ? pendingCount + 1 : 1;
+            pending = evaluation;
+
+            if (pendingCount >= consecutiveChecks) {
+                current = evaluation;
+                pending = null;
+                pendingCount = 0;
+            }
+
+            return snapshot();
+        },
+
+        get status() {
+            return current ? current.status : null;
+        }
+    };
+}